@@ -2,6 +2,7 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import HomePage from './pages/HomePage';
 import StreamStudio from './pages/StreamStudio';
 import ViewStream from './pages/ViewStream';
+import ViewRecording from './pages/ViewRecording';
 import Navbar from './components/Navbar';
 
 function App() {
@@ -14,6 +15,7 @@ function App() {
             <Route path="/" element={<HomePage />} />
             <Route path="/studio" element={<StreamStudio />} />
             <Route path="/stream/:roomId" element={<ViewStream />} />
+            <Route path="/vod/:recordingId" element={<ViewRecording />} />
           </Routes>
         </div>
       </div>
@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { Download, Loader2 } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+
+// Formats offered by GET /api/streams/:id/chat/export
+const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', extension: 'json' },
+  { value: 'csv', label: 'CSV', extension: 'csv' },
+  { value: 'text', label: 'Plain text', extension: 'txt' }
+];
+
+// Studio card for downloading the chat transcript so far. The export is
+// host-only, so it's fetched with the host's identity token and saved from
+// a blob.
+const ChatExport = ({ streamId, token, title }) => {
+  const [format, setFormat] = useState('json');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const exportChat = async () => {
+    if (!streamId) return;
+    setExporting(true);
+    setError(null);
+
+    try {
+      const res = await axios.get(`${import.meta.env.VITE_API_URL}/api/streams/${streamId}/chat/export`, {
+        params: { format },
+        headers: { 'X-Identity-Token': token },
+        responseType: 'blob'
+      });
+
+      const { extension } = EXPORT_FORMATS.find(option => option.value === format);
+      const name = (title || 'stream').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'stream';
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${name}-chat.${extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting chat:', err);
+      setError('Could not export the chat. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 space-y-3">
+      <h3 className="font-semibold">Chat Transcript</h3>
+      <p className="text-sm text-gray-400">
+        Download every message so far, with times from the start of the stream, deleted and held messages flagged, and reactions.
+      </p>
+
+      <div className="flex items-center gap-2">
+        <select
+          className="h-9 rounded-md border bg-background px-2 text-sm"
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+        >
+          {EXPORT_FORMATS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <Button size="sm" className="gap-1" onClick={exportChat} disabled={exporting || !streamId}>
+          {exporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+          Export chat
+        </Button>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default ChatExport;
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import { Trash2, Plus } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+
+// What happens to a message that matches - see server/src/wordFilter.js
+const FILTER_ACTIONS = [
+  { value: 'mask', label: 'Mask with ***' },
+  { value: 'hold', label: 'Hold for review' },
+  { value: 'drop', label: 'Drop message' }
+];
+
+const ChatFilterSettings = ({ socket, roomId, userId }) => {
+  const [terms, setTerms] = useState([]);
+  const [pattern, setPattern] = useState('');
+  const [isRegex, setIsRegex] = useState(false);
+  const [action, setAction] = useState('mask');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!socket || !roomId) return;
+
+    socket.on('blocked-terms', (list) => {
+      setTerms(list);
+      setError(null);
+    });
+
+    socket.on('blocked-terms-error', ({ message }) => {
+      setError(message);
+    });
+
+    socket.emit('get-blocked-terms', { roomId, userId });
+
+    return () => {
+      socket.off('blocked-terms');
+      socket.off('blocked-terms-error');
+    };
+  }, [socket, roomId, userId]);
+
+  const addTerm = (e) => {
+    e.preventDefault();
+    if (!pattern.trim() || !socket) return;
+
+    socket.emit('add-blocked-term', {
+      roomId,
+      userId,
+      term: { pattern: pattern.trim(), isRegex, action }
+    });
+    setPattern('');
+  };
+
+  const removeTerm = (termId) => {
+    socket.emit('remove-blocked-term', { roomId, userId, termId });
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 space-y-3">
+      <h3 className="font-semibold">Chat Filter</h3>
+      <p className="text-sm text-gray-400">
+        Blocked words match whole words in any case. Regex patterns are matched as written, ignoring case.
+      </p>
+
+      <form onSubmit={addTerm} className="flex flex-wrap gap-2">
+        <Input
+          type="text"
+          placeholder={isRegex ? 'Pattern, e.g. free\\s+followers' : 'Word or phrase'}
+          value={pattern}
+          onChange={(e) => setPattern(e.target.value)}
+          className="flex-1 min-w-[160px]"
+        />
+        <select
+          className="h-9 rounded-md border bg-background px-2 text-sm"
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+        >
+          {FILTER_ACTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-sm text-gray-400">
+          <input
+            type="checkbox"
+            checked={isRegex}
+            onChange={(e) => setIsRegex(e.target.checked)}
+          />
+          Regex
+        </label>
+        <Button type="submit" size="icon" disabled={!pattern.trim()}>
+          <Plus className="h-4 w-4" />
+        </Button>
+      </form>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {terms.length === 0 ? (
+        <p className="text-sm text-gray-500">No blocked terms yet.</p>
+      ) : (
+        <ul className="space-y-1">
+          {terms.map(term => (
+            <li key={term.id} className="flex items-center justify-between gap-2 rounded-md bg-gray-800 px-3 py-1.5">
+              <div className="flex min-w-0 items-center gap-2">
+                <code className="truncate text-sm">{term.isRegex ? `/${term.pattern}/` : term.pattern}</code>
+                <Badge variant="outline">
+                  {FILTER_ACTIONS.find(option => option.value === term.action)?.label || term.action}
+                </Badge>
+              </div>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-7 w-7 text-destructive"
+                onClick={() => removeTerm(term.id)}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ChatFilterSettings;
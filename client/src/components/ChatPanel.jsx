@@ -1,9 +1,11 @@
-import { useState, useEffect, useRef } from 'react';
-import { Smile, Flag, Trash2, UserX, Send } from 'lucide-react';
-import { formatDistanceToNow } from 'date-fns';
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { Smile, Flag, Trash2, Send, Loader2, Clock, Ban, ShieldAlert, Shield, ShieldCheck, ShieldOff, Settings2, Check, X, Hourglass, Reply, AtSign, Pin, Megaphone } from 'lucide-react';
+import { formatDistanceToNow, format } from 'date-fns';
+import axios from 'axios';
 import EmojiPicker from 'emoji-picker-react';
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
 import { 
   Card, 
   CardContent, 
@@ -18,66 +20,525 @@ import {
   DropdownMenu,
   DropdownMenuContent,
   DropdownMenuItem,
+  DropdownMenuSub,
+  DropdownMenuSubContent,
+  DropdownMenuSubTrigger,
   DropdownMenuTrigger
 } from "@/components/ui/dropdown-menu";
+import { REPORT_REASONS, REACTION_EMOJIS } from '../lib/constants';
+import { formatDuration } from '../lib/format';
+import PollCard from './PollCard';
+import QuestionsPanel from './QuestionsPanel';
 
+// Messages fetched per history page
+const HISTORY_PAGE_SIZE = 50;
+
+// Timeout lengths offered to moderators, in seconds
+const TIMEOUT_OPTIONS = [
+  { label: '1 minute', seconds: 60 },
+  { label: '10 minutes', seconds: 600 },
+  { label: '1 hour', seconds: 3600 },
+  { label: '24 hours', seconds: 86400 }
+];
+
+// Chat mode choices for moderators; values are seconds and minutes respectively
+const SLOW_MODE_OPTIONS = [
+  { label: 'Off', value: 0 },
+  { label: '5 seconds', value: 5 },
+  { label: '10 seconds', value: 10 },
+  { label: '30 seconds', value: 30 },
+  { label: '1 minute', value: 60 },
+  { label: '2 minutes', value: 120 }
+];
+
+const ACCOUNT_AGE_OPTIONS = [
+  { label: 'Off', value: 0 },
+  { label: '10 minutes', value: 10 },
+  { label: '1 hour', value: 60 },
+  { label: '1 day', value: 1440 },
+  { label: '1 week', value: 10080 }
+];
+
+// How long pins and announcements stay up, in seconds; 0 until unpinned
+const PIN_DURATIONS = [
+  { label: 'Until unpinned', seconds: 0 },
+  { label: '5 minutes', seconds: 300 },
+  { label: '15 minutes', seconds: 900 },
+  { label: '1 hour', seconds: 3600 }
+];
+
+const ANNOUNCEMENT_STYLES = {
+  info: { label: 'Info', className: 'bg-blue-500/15 border-blue-500' },
+  warning: { label: 'Warning', className: 'bg-amber-500/15 border-amber-500' },
+  celebration: { label: 'Celebration', className: 'bg-fuchsia-500/15 border-fuchsia-500' }
+};
+
+const DEFAULT_CHAT_MODES = { slowMode: 0, emoteOnly: false, minAccountAge: 0 };
+
+// Short labels for the active modes shown above the chat
+const describeChatModes = (modes) => [
+  modes.slowMode > 0 && `Slow mode (${modes.slowMode}s)`,
+  modes.emoteOnly && 'Emote only',
+  modes.minAccountAge > 0 &&
+    `Chatters ${ACCOUNT_AGE_OPTIONS.find(option => option.value === modes.minAccountAge)?.label || `${modes.minAccountAge} min`}+`
+].filter(Boolean);
+
+// Suggestions shown while typing an @mention
+const MENTION_SUGGESTION_LIMIT = 5;
+
+// The @mention being typed at the end of the input, e.g. "Vie" for "hi @Vie"
+const getMentionQuery = (text) => {
+  const match = /(?:^|\s)@([^\s@]*)$/.exec(text);
+  return match ? match[1] : null;
+};
+
+// Seconds left on the send button, e.g. "42s" or "3m"
+const formatCooldown = (seconds) => (seconds >= 60 ? `${Math.ceil(seconds / 60)}m` : `${seconds}s`);
+
+// e.g. "banned" or "timed out until 3:45 PM"
+const describeRestriction = (restriction) => (
+  restriction.type === 'ban'
+    ? 'banned'
+    : `timed out until ${format(new Date(restriction.expiresAt), 'p')}`
+);
+
+// Combine a page of history with what's already shown, dropping duplicates of
+// messages that arrived live while the page was loading
+const mergeMessages = (older, current) => {
+  const currentIds = new Set(current.map(msg => msg.id));
+  return [...older.filter(msg => !currentIds.has(msg.id)), ...current];
+};
+
+// Local notice shown in the chat list; never sent to the server
+const createSystemMessage = (text) => ({
+  id: `system-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+  userId: 'system',
+  username: 'System',
+  text,
+  timestamp: new Date().toISOString(),
+  isSystem: true
+});
+
+// Most replayed messages kept on screen; older ones scroll off as the video plays
+const REPLAY_MESSAGE_LIMIT = 200;
+
+// Pass `replay` ({ messages, currentTime }) instead of a socket to show a
+// recording's chat: messages appear as the video reaches their `replayAt`
+// time, and the panel is read-only.
 const ChatPanel = ({ 
   socket, 
   roomId, 
   userId, 
   username, 
-  isHost = false 
+  isHost = false,
+  replay = null
 }) => {
+  const [activeTab, setActiveTab] = useState('chat');
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
   const [emojiPickerOpen, setEmojiPickerOpen] = useState(false);
-  const [mutedUsers, setMutedUsers] = useState(new Set());
+  // Message whose reaction picker is open
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  // Our own timeout/ban, as enforced by the server
+  const [restriction, setRestriction] = useState(null);
+  // Moderators only: everyone currently timed out or banned in this channel
+  const [restrictions, setRestrictions] = useState([]);
+  // The channel's host and moderator roster, for badges and permissions
+  const [channelHostId, setChannelHostId] = useState(null);
+  const [moderators, setModerators] = useState([]);
+  const [chatModes, setChatModes] = useState(DEFAULT_CHAT_MODES);
+  // The room's pinned message or announcement, shown above the chat
+  const [pinned, setPinned] = useState(null);
+  const [announcement, setAnnouncement] = useState({ text: '', style: 'info', duration: 0 });
+  // The room's latest poll and which option we picked in it
+  const [poll, setPoll] = useState(null);
+  const [myVote, setMyVote] = useState(null);
+  // Message being replied to, quoted above the input
+  const [replyingTo, setReplyingTo] = useState(null);
+  // Recent chatters for @mention autocomplete, and the highlighted suggestion
+  const [chatters, setChatters] = useState([]);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [mentionsDismissed, setMentionsDismissed] = useState(false);
+  // Messages mentioning us that we haven't jumped to yet
+  const [unreadMentions, setUnreadMentions] = useState([]);
+  const messageRefs = useRef(new Map());
+  // Moderators only: messages the chat filter is holding for review
+  const [heldMessages, setHeldMessages] = useState([]);
+  // When we may send again under slow mode (ms), and the seconds left for the button
+  const [cooldownUntil, setCooldownUntil] = useState(null);
+  const [cooldownRemaining, setCooldownRemaining] = useState(0);
   const chatEndRef = useRef(null);
+  
+  const isModeratorUser = (id) => moderators.some(mod => mod.userId === id);
+  const isMentioned = (msg) => Boolean(msg.mentions?.includes(userId));
+  
+  const mentionQuery = getMentionQuery(message);
+  const mentionSuggestions = mentionQuery === null || mentionsDismissed ? [] : chatters
+    .filter(chatter => chatter.userId !== userId && chatter.username?.toLowerCase().startsWith(mentionQuery.toLowerCase()))
+    .slice(0, MENTION_SUGGESTION_LIMIT);
+  const canModerate = isHost || isModeratorUser(userId);
+  
+  // History pagination: the cursor points at the oldest loaded message
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const historyCursorRef = useRef(null);
+  const topSentinelRef = useRef(null);
+  // Scroll handling for the next messages update (see the layout effect below)
+  const scrollRestoreRef = useRef(null);
+  const jumpToBottomRef = useRef(false);
 
+  // Load the latest page of history when joining a room
   useEffect(() => {
-    if (!socket) return;
+    if (!roomId) return;
+    let cancelled = false;
 
-    // Listen for incoming messages
-    socket.on('chat-message', (messageData) => {
-      // Skip messages from muted users
-      if (mutedUsers.has(messageData.userId)) return;
-      
-      setMessages(prev => [...prev, messageData]);
-    });
+    const loadHistory = async () => {
+      setLoadingHistory(true);
+      try {
+        const res = await axios.get(`${import.meta.env.VITE_API_URL}/api/streams/${roomId}/chat`, {
+          params: { limit: HISTORY_PAGE_SIZE, userId }
+        });
+        if (cancelled) return;
+
+        historyCursorRef.current = res.data.nextCursor;
+        setHasMoreHistory(res.data.hasMore);
+        jumpToBottomRef.current = true;
+        setMessages(prev => mergeMessages(res.data.messages, prev));
+      } catch (error) {
+        console.error('Error loading chat history:', error);
+      } finally {
+        if (!cancelled) setLoadingHistory(false);
+      }
+    };
+
+    const loadChatters = async () => {
+      try {
+        const res = await axios.get(`${import.meta.env.VITE_API_URL}/api/streams/${roomId}/chatters`);
+        if (!cancelled) setChatters(res.data);
+      } catch (error) {
+        console.error('Error loading chatters:', error);
+      }
+    };
+
+    loadHistory();
+    loadChatters();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, userId]);
+
+  // Fetch the page above the oldest loaded message
+  const loadOlderMessages = useCallback(async () => {
+    if (!roomId || loadingHistory || !hasMoreHistory || !historyCursorRef.current) return;
 
-    // Listen for message reactions
-    socket.on('message-reaction', ({ messageId, userId, username, reaction }) => {
-      setMessages(prev => prev.map(msg => 
-        msg.id === messageId 
-          ? {
-              ...msg,
-              reactions: [...(msg.reactions || []), { userId, username, reaction }]
-            }
-          : msg
+    const viewport = topSentinelRef.current?.closest('[data-radix-scroll-area-viewport]');
+    setLoadingHistory(true);
+    try {
+      const res = await axios.get(`${import.meta.env.VITE_API_URL}/api/streams/${roomId}/chat`, {
+        params: { before: historyCursorRef.current, limit: HISTORY_PAGE_SIZE, userId }
+      });
+
+      historyCursorRef.current = res.data.nextCursor;
+      setHasMoreHistory(res.data.hasMore);
+      if (viewport) {
+        scrollRestoreRef.current = { viewport, scrollHeight: viewport.scrollHeight, scrollTop: viewport.scrollTop };
+      }
+      setMessages(prev => mergeMessages(res.data.messages, prev));
+    } catch (error) {
+      console.error('Error loading older chat messages:', error);
+    } finally {
+      setLoadingHistory(false);
+    }
+  }, [roomId, userId, loadingHistory, hasMoreHistory]);
+
+  // Infinite scroll upward: load more when the top of the list comes into view
+  useEffect(() => {
+    const sentinel = topSentinelRef.current;
+    if (!sentinel || !hasMoreHistory) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadOlderMessages();
+      }
+    }, { root: sentinel.closest('[data-radix-scroll-area-viewport]') });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMoreHistory, loadOlderMessages]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    // Listen for incoming messages. Approved held messages come through here
+    // too, replacing the author's pending copy.
+    const handleChatMessage = (messageData) => {
+      setMessages(prev => (
+        prev.some(msg => msg.id === messageData.id)
+          ? prev.map(msg => (msg.id === messageData.id ? messageData : msg))
+          : [...prev, messageData]
       ));
-    });
+      setChatters(prev => [
+        { userId: messageData.userId, username: messageData.username },
+        ...prev.filter(chatter => chatter.userId !== messageData.userId)
+      ]);
+      if (messageData.mentions?.includes(userId)) {
+        setUnreadMentions(prev => (prev.includes(messageData.id) ? prev : [...prev, messageData.id]));
+      }
+    };
+
+    // The server's copy of our message replaces the optimistic one, with the
+    // filtered text, resolved reply and mentions, and a cursor
+    const handleChatMessageSaved = (savedMessage) => {
+      setMessages(prev => prev.map(msg => (msg.id === savedMessage.id ? { ...savedMessage, held: msg.held } : msg)));
+    };
+
+    const handleMessageReported = () => {
+      setMessages(prev => [...prev, createSystemMessage('Thanks for reporting. The moderators will take a look.')]);
+    };
+
+    const handleChatMessageHeld = ({ messageId }) => {
+      setMessages(prev => prev.map(msg => (msg.id === messageId ? { ...msg, held: true } : msg)));
+    };
+
+    // Reaction counts come from the server; which ones are ours is tracked
+    // here from our own toggles
+    const handleMessageReactions = ({ messageId, reactions, userId: reactorId, reaction, active }) => {
+      setMessages(prev => prev.map(msg => {
+        if (msg.id !== messageId) return msg;
+
+        const mine = new Set((msg.reactions || []).filter(item => item.reacted).map(item => item.reaction));
+        if (reactorId === userId) {
+          if (active) mine.add(reaction);
+          else mine.delete(reaction);
+        }
+
+        return {
+          ...msg,
+          reactions: reactions.map(item => ({ ...item, reacted: mine.has(item.reaction) }))
+        };
+      }));
+    };
 
     // Listen for message deletions
-    socket.on('message-deleted', (messageId) => {
+    const handleMessageDeleted = (messageId) => {
       setMessages(prev => prev.filter(msg => msg.id !== messageId));
-    });
+    };
+
+    // We were timed out or banned; the server won't accept our messages
+    const handleChatRestricted = (payload) => {
+      setRestriction(payload);
+    };
 
-    // Clean up listeners on unmount
+    const handleRoomBanned = ({ reason }) => {
+      setRestriction({ type: 'ban', reason });
+    };
+
+    // Drop the optimistic copy of a message the server refused, either for
+    // breaking a chat mode or because we're restricted
+    const handleChatMessageRejected = ({ messageId, ...payload }) => {
+      setMessages(prev => [
+        ...prev.filter(msg => msg.id !== messageId),
+        ...(payload.mode ? [createSystemMessage(payload.message)] : [])
+      ]);
+      if (!payload.mode) {
+        setRestriction(payload);
+      } else if (payload.retryAfter) {
+        setCooldownUntil(Date.now() + payload.retryAfter * 1000);
+      }
+    };
+
+    const handlePinnedMessage = (pin) => {
+      setPinned(pin);
+    };
+
+    const handleActivePoll = ({ poll: activePoll, myVote: vote }) => {
+      setPoll(activePoll);
+      setMyVote(activePoll && vote !== null ? { pollId: activePoll.id, optionIndex: vote } : null);
+    };
+
+    const handlePollUpdated = (updatedPoll) => {
+      setPoll(updatedPoll);
+    };
+
+    const handlePollVoted = ({ pollId, optionIndex }) => {
+      setMyVote({ pollId, optionIndex });
+    };
+
+    const handleChatModes = (modes) => {
+      setChatModes({ ...DEFAULT_CHAT_MODES, ...modes });
+    };
+
+    const handleUserRestricted = (payload) => {
+      setMessages(prev => [
+        // A ban clears the user's messages from the chat
+        ...(payload.type === 'ban' ? prev.filter(msg => msg.userId !== payload.userId) : prev),
+        createSystemMessage(`${payload.username || 'A user'} has been ${describeRestriction(payload)}.`)
+      ]);
+    };
+
+    const handleUserUnrestricted = ({ userId: targetUserId, type }) => {
+      if (targetUserId === userId) {
+        setRestriction(prev => (prev?.type === type ? null : prev));
+      }
+    };
+
+    const handleRestrictions = (list) => {
+      setRestrictions(list);
+    };
+
+    const handleHeldMessages = (list) => {
+      setHeldMessages(list);
+    };
+
+    const handleMessageHeld = (heldMessage) => {
+      setHeldMessages(prev => [...prev.filter(msg => msg.id !== heldMessage.id), heldMessage]);
+    };
+
+    const handleHeldMessageReviewed = ({ messageId }) => {
+      setHeldMessages(prev => prev.filter(msg => msg.id !== messageId));
+    };
+
+    const handleModerators = ({ hostId, moderators: roster }) => {
+      setChannelHostId(hostId);
+      setModerators(roster);
+    };
+
+    // Rejected deletions, moderation and spoofed identities
+    const handleChatError = ({ message }) => {
+      setMessages(prev => [...prev, createSystemMessage(message)]);
+    };
+
+    const handleAuthError = ({ message }) => {
+      setMessages(prev => [...prev, createSystemMessage(message)]);
+    };
+
+    socket.on('chat-message', handleChatMessage);
+    socket.on('chat-message-saved', handleChatMessageSaved);
+    socket.on('message-reported', handleMessageReported);
+    socket.on('chat-message-held', handleChatMessageHeld);
+    socket.on('message-reactions', handleMessageReactions);
+    socket.on('message-deleted', handleMessageDeleted);
+    socket.on('chat-restricted', handleChatRestricted);
+    socket.on('room-banned', handleRoomBanned);
+    socket.on('chat-message-rejected', handleChatMessageRejected);
+    socket.on('pinned-message', handlePinnedMessage);
+    socket.on('active-poll', handleActivePoll);
+    socket.on('poll-updated', handlePollUpdated);
+    socket.on('poll-voted', handlePollVoted);
+    socket.on('chat-modes', handleChatModes);
+    socket.on('user-restricted', handleUserRestricted);
+    socket.on('user-unrestricted', handleUserUnrestricted);
+    socket.on('restrictions', handleRestrictions);
+    socket.on('held-messages', handleHeldMessages);
+    socket.on('message-held', handleMessageHeld);
+    socket.on('held-message-reviewed', handleHeldMessageReviewed);
+    socket.on('moderators', handleModerators);
+    socket.on('chat-error', handleChatError);
+    socket.on('auth-error', handleAuthError);
+
+    // Clean up only our listeners on unmount; other components share the socket
     return () => {
-      socket.off('chat-message');
-      socket.off('message-reaction');
-      socket.off('message-deleted');
+      socket.off('chat-message', handleChatMessage);
+      socket.off('chat-message-saved', handleChatMessageSaved);
+      socket.off('message-reported', handleMessageReported);
+      socket.off('chat-message-held', handleChatMessageHeld);
+      socket.off('message-reactions', handleMessageReactions);
+      socket.off('message-deleted', handleMessageDeleted);
+      socket.off('chat-restricted', handleChatRestricted);
+      socket.off('room-banned', handleRoomBanned);
+      socket.off('chat-message-rejected', handleChatMessageRejected);
+      socket.off('pinned-message', handlePinnedMessage);
+      socket.off('active-poll', handleActivePoll);
+      socket.off('poll-updated', handlePollUpdated);
+      socket.off('poll-voted', handlePollVoted);
+      socket.off('chat-modes', handleChatModes);
+      socket.off('user-restricted', handleUserRestricted);
+      socket.off('user-unrestricted', handleUserUnrestricted);
+      socket.off('restrictions', handleRestrictions);
+      socket.off('held-messages', handleHeldMessages);
+      socket.off('message-held', handleMessageHeld);
+      socket.off('held-message-reviewed', handleHeldMessageReviewed);
+      socket.off('moderators', handleModerators);
+      socket.off('chat-error', handleChatError);
+      socket.off('auth-error', handleAuthError);
     };
-  }, [socket, mutedUsers]);
+  }, [socket, userId]);
 
-  // Auto-scroll to latest messages
   useEffect(() => {
-    chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+    if (!socket || !roomId) return;
+    socket.emit('get-moderators', { roomId });
+    socket.emit('get-chat-modes', { roomId });
+    socket.emit('get-pinned-message', { roomId });
+    socket.emit('get-active-poll', { roomId });
+  }, [socket, roomId]);
+
+  // Pins with an expiry disappear on their own
+  useEffect(() => {
+    if (!pinned?.expiresAt) return;
+
+    const remaining = new Date(pinned.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => setPinned(null), Math.max(remaining, 0));
+    return () => clearTimeout(timer);
+  }, [pinned]);
+
+  // Moderators keep a list of restricted users to lift them again, and
+  // review what the chat filter held back
+  useEffect(() => {
+    if (!socket || !roomId || !canModerate) return;
+    socket.emit('get-restrictions', { roomId, userId });
+    socket.emit('get-held-messages', { roomId, userId });
+  }, [socket, roomId, userId, canModerate]);
+
+  // Timeouts run out on their own; the server stops enforcing them at expiresAt
+  useEffect(() => {
+    if (restriction?.type !== 'timeout' || !restriction.expiresAt) return;
+
+    const remaining = new Date(restriction.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => setRestriction(null), Math.max(remaining, 0));
+    return () => clearTimeout(timer);
+  }, [restriction]);
+
+  // Count down the slow mode cooldown on the send button
+  useEffect(() => {
+    if (!cooldownUntil) return;
+
+    const tick = () => {
+      const remaining = Math.max(Math.ceil((cooldownUntil - Date.now()) / 1000), 0);
+      setCooldownRemaining(remaining);
+      if (remaining === 0) setCooldownUntil(null);
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [cooldownUntil]);
+
+  // In replay the video's position decides what's shown, not the socket
+  const shownMessages = replay
+    ? replay.messages.filter(msg => msg.replayAt <= replay.currentTime).slice(-REPLAY_MESSAGE_LIMIT)
+    : messages;
+  const lastShownId = shownMessages[shownMessages.length - 1]?.id;
+
+  // Auto-scroll to latest messages, except when older history was prepended
+  useLayoutEffect(() => {
+    const restore = scrollRestoreRef.current;
+    if (restore) {
+      // Keep the same message in view after the list grows above it
+      scrollRestoreRef.current = null;
+      restore.viewport.scrollTop = restore.viewport.scrollHeight - restore.scrollHeight + restore.scrollTop;
+      return;
+    }
+
+    // The first page of history lands at the bottom without animating past it
+    const behavior = jumpToBottomRef.current ? 'auto' : 'smooth';
+    jumpToBottomRef.current = false;
+    chatEndRef.current?.scrollIntoView({ behavior });
+  }, [messages, lastShownId]);
 
   const sendMessage = (e) => {
     e.preventDefault();
-    if (!message.trim() || !socket) return;
+    if (!message.trim() || !socket || restriction || cooldownRemaining > 0) return;
 
     const messageData = {
       id: `${userId}-${Date.now()}`,
@@ -86,7 +547,14 @@ const ChatPanel = ({
       username: username || 'Anonymous',
       text: message.trim(),
       timestamp: new Date().toISOString(),
-      reactions: []
+      reactions: [],
+      // The server replaces this with its own copy of the quoted message
+      replyTo: replyingTo && {
+        messageId: replyingTo.id,
+        userId: replyingTo.userId,
+        username: replyingTo.username,
+        text: replyingTo.text
+      }
     };
 
     // Emit message to server
@@ -95,8 +563,51 @@ const ChatPanel = ({
     // Add message to local state immediately for responsiveness
     setMessages(prev => [...prev, messageData]);
     
+    // Moderators aren't held to slow mode
+    if (chatModes.slowMode > 0 && !canModerate) {
+      setCooldownUntil(Date.now() + chatModes.slowMode * 1000);
+    }
+    
     // Clear input
     setMessage('');
+    setReplyingTo(null);
+  };
+
+  const startReply = (msg) => {
+    setReplyingTo(msg);
+    setUnreadMentions(prev => prev.filter(id => id !== msg.id));
+  };
+
+  const scrollToMessage = (messageId) => {
+    messageRefs.current.get(messageId)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  // Jump to the oldest mention we haven't seen yet
+  const showNextMention = () => {
+    const [next, ...rest] = unreadMentions;
+    scrollToMessage(next);
+    setUnreadMentions(rest);
+  };
+
+  const insertMention = (chatter) => {
+    setMessage(prev => `${prev.replace(/@[^\s@]*$/, '')}@${chatter.username} `);
+    setMentionIndex(0);
+  };
+
+  // Arrow keys pick a suggestion; Enter or Tab inserts it
+  const handleInputKeyDown = (e) => {
+    if (mentionSuggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex(prev => (prev + step + mentionSuggestions.length) % mentionSuggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setMentionsDismissed(true);
+    }
   };
 
   const addEmoji = (emojiData) => {
@@ -104,12 +615,11 @@ const ChatPanel = ({
     setEmojiPickerOpen(false);
   };
 
-  const addReaction = (messageId, reaction) => {
-    socket.emit('add-reaction', {
+  const toggleReaction = (messageId, reaction) => {
+    socket.emit('toggle-reaction', {
       messageId,
       roomId,
       userId,
-      username: username || 'Anonymous',
       reaction
     });
   };
@@ -118,38 +628,92 @@ const ChatPanel = ({
     socket.emit('delete-message', {
       messageId,
       roomId,
-      userId // Only host or message owner can delete
+      userId // Only moderators or the message owner can delete
     });
   };
 
-  const muteUser = (targetUserId, targetUsername) => {
-    setMutedUsers(prev => new Set(prev).add(targetUserId));
-    
-    // Filter out existing messages from this user
-    setMessages(prev => prev.filter(msg => msg.userId !== targetUserId));
-    
-    // Notify in chat that a user was muted (only visible to host)
-    const systemMessage = {
-      id: `system-${Date.now()}`,
+  const setModerator = (targetUserId, targetUsername, isModerator) => {
+    socket.emit(isModerator ? 'add-moderator' : 'remove-moderator', {
       roomId,
-      userId: 'system',
-      username: 'System',
-      text: `${targetUsername} has been muted.`,
-      timestamp: new Date().toISOString(),
-      isSystem: true
-    };
-    
-    setMessages(prev => [...prev, systemMessage]);
-    
-    // Inform server about mute action
-    if (isHost) {
-      socket.emit('mute-user', {
-        roomId,
-        userId,
-        targetUserId,
-        targetUsername
-      });
-    }
+      userId,
+      targetUserId,
+      targetUsername
+    });
+  };
+
+  const timeoutUser = (targetUserId, targetUsername, duration) => {
+    socket.emit('timeout-user', {
+      roomId,
+      userId,
+      targetUserId,
+      targetUsername,
+      duration
+    });
+  };
+
+  const banUser = (targetUserId, targetUsername) => {
+    socket.emit('ban-user', {
+      roomId,
+      userId,
+      targetUserId,
+      targetUsername
+    });
+  };
+
+  const reportMessage = (messageId, reason) => {
+    socket.emit('report-message', {
+      roomId,
+      userId,
+      username: username || 'Anonymous',
+      messageId,
+      reason
+    });
+  };
+
+  const pinMessage = (messageId, duration) => {
+    socket.emit('pin-message', { roomId, userId, messageId, duration });
+  };
+
+  const unpinMessage = () => {
+    socket.emit('unpin-message', { roomId, userId });
+  };
+
+  const votePoll = (optionIndex) => {
+    socket.emit('vote-poll', { roomId, userId, pollId: poll.id, optionIndex });
+  };
+
+  const endPoll = () => {
+    socket.emit('end-poll', { roomId, userId, pollId: poll.id });
+  };
+
+  const postAnnouncement = (e) => {
+    e.preventDefault();
+    if (!announcement.text.trim()) return;
+
+    socket.emit('post-announcement', {
+      roomId,
+      userId,
+      username: username || 'Anonymous',
+      ...announcement,
+      text: announcement.text.trim()
+    });
+    setAnnouncement(prev => ({ ...prev, text: '' }));
+  };
+
+  const reviewHeldMessage = (messageId, approve) => {
+    socket.emit('review-held-message', { roomId, userId, messageId, approve });
+  };
+
+  const updateChatModes = (modes) => {
+    socket.emit('set-chat-modes', { roomId, userId, modes });
+  };
+
+  const liftRestriction = (target) => {
+    socket.emit(target.type === 'ban' ? 'unban-user' : 'unmute-user', {
+      roomId,
+      userId,
+      targetUserId: target.userId
+    });
   };
 
   // Format timestamp as relative time (e.g., "5 minutes ago")
@@ -163,119 +727,508 @@ const ChatPanel = ({
 
   return (
     <Card className="flex flex-col h-full">
-      <CardHeader className="px-4 py-3">
-        <CardTitle className="text-base font-medium">Live Chat</CardTitle>
+      <CardHeader className="px-4 py-3 flex flex-row items-center justify-between space-y-0">
+        <div className="flex items-center gap-2">
+          <CardTitle className="text-base font-medium">{replay ? 'Chat Replay' : 'Live Chat'}</CardTitle>
+          {unreadMentions.length > 0 && (
+            <Button variant="secondary" size="sm" className="h-7 gap-1" onClick={showNextMention}>
+              <AtSign className="h-4 w-4" />
+              {unreadMentions.length} new
+            </Button>
+          )}
+        </div>
+        
+        {canModerate && (
+          <div className="flex items-center gap-1">
+            {heldMessages.length > 0 && (
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button variant="ghost" size="sm" className="h-7 gap-1">
+                    <Hourglass className="h-4 w-4" />
+                    Held ({heldMessages.length})
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent align="end" className="w-80 p-2">
+                  <div className="space-y-1">
+                    {heldMessages.map(held => (
+                      <div key={held.id} className="flex items-start justify-between gap-2 p-2 rounded-md hover:bg-muted/30">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium truncate">{held.username}</p>
+                          <p className="text-sm text-muted-foreground break-words">{held.text}</p>
+                        </div>
+                        <div className="flex shrink-0 gap-1">
+                          <Button
+                            variant="outline"
+                            size="icon"
+                            className="h-7 w-7"
+                            title="Approve"
+                            onClick={() => reviewHeldMessage(held.id, true)}
+                          >
+                            <Check className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="icon"
+                            className="h-7 w-7 text-destructive"
+                            title="Reject"
+                            onClick={() => reviewHeldMessage(held.id, false)}
+                          >
+                            <X className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </PopoverContent>
+              </Popover>
+            )}
+            
+            {isHost && (
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button variant="ghost" size="sm" className="h-7 gap-1">
+                    <Megaphone className="h-4 w-4" />
+                    Announce
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent align="end" className="w-72">
+                  <form onSubmit={postAnnouncement} className="space-y-2">
+                    <Input
+                      type="text"
+                      placeholder="Announcement..."
+                      maxLength={500}
+                      value={announcement.text}
+                      onChange={(e) => setAnnouncement(prev => ({ ...prev, text: e.target.value }))}
+                    />
+                    <div className="flex gap-2">
+                      <select
+                        className="h-8 flex-1 rounded-md border bg-background px-2 text-sm"
+                        value={announcement.style}
+                        onChange={(e) => setAnnouncement(prev => ({ ...prev, style: e.target.value }))}
+                      >
+                        {Object.entries(ANNOUNCEMENT_STYLES).map(([value, { label }]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="h-8 flex-1 rounded-md border bg-background px-2 text-sm"
+                        value={announcement.duration}
+                        onChange={(e) => setAnnouncement(prev => ({ ...prev, duration: Number(e.target.value) }))}
+                      >
+                        {PIN_DURATIONS.map(option => (
+                          <option key={option.seconds} value={option.seconds}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <Button type="submit" size="sm" className="w-full" disabled={!announcement.text.trim()}>
+                      Post announcement
+                    </Button>
+                  </form>
+                </PopoverContent>
+              </Popover>
+            )}
+            
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button variant="ghost" size="sm" className="h-7 gap-1">
+                  <Settings2 className="h-4 w-4" />
+                  Modes
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent align="end" className="w-64 space-y-3">
+                <label className="flex items-center justify-between gap-2 text-sm">
+                  Slow mode
+                  <select
+                    className="h-8 rounded-md border bg-background px-2 text-sm"
+                    value={chatModes.slowMode}
+                    onChange={(e) => updateChatModes({ slowMode: Number(e.target.value) })}
+                  >
+                    {SLOW_MODE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex items-center justify-between gap-2 text-sm">
+                  Account age
+                  <select
+                    className="h-8 rounded-md border bg-background px-2 text-sm"
+                    value={chatModes.minAccountAge}
+                    onChange={(e) => updateChatModes({ minAccountAge: Number(e.target.value) })}
+                  >
+                    {ACCOUNT_AGE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <div className="flex items-center justify-between gap-2 text-sm">
+                  Emote only
+                  <Button
+                    variant={chatModes.emoteOnly ? 'default' : 'outline'}
+                    size="sm"
+                    className="h-8"
+                    onClick={() => updateChatModes({ emoteOnly: !chatModes.emoteOnly })}
+                  >
+                    {chatModes.emoteOnly ? 'On' : 'Off'}
+                  </Button>
+                </div>
+              </PopoverContent>
+            </Popover>
+            
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button variant="ghost" size="sm" className="h-7 gap-1">
+                  <ShieldAlert className="h-4 w-4" />
+                  Restricted ({restrictions.length})
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent align="end" className="w-72 p-2">
+                {restrictions.length === 0 ? (
+                  <p className="text-sm text-muted-foreground p-2">
+                    No one is timed out or banned.
+                  </p>
+                ) : (
+                  <div className="space-y-1">
+                    {restrictions.map(target => (
+                      <div key={target.id} className="flex items-center justify-between gap-2 p-2 rounded-md hover:bg-muted/30">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium truncate">{target.username || target.userId}</p>
+                          <p className="text-xs text-muted-foreground">{describeRestriction(target)}</p>
+                        </div>
+                        {(isHost || target.type !== 'ban') && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            className="h-7"
+                            onClick={() => liftRestriction(target)}
+                          >
+                            {target.type === 'ban' ? 'Unban' : 'Unmute'}
+                          </Button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </PopoverContent>
+            </Popover>
+          </div>
+        )}
       </CardHeader>
-      <Separator />
       
-      <CardContent className="flex-1 p-0">
+      {pinned && (
+        <div
+          className={`mx-4 mb-2 flex items-start gap-2 rounded-md border-l-4 p-2 text-sm ${
+            pinned.kind === 'announcement'
+              ? ANNOUNCEMENT_STYLES[pinned.style]?.className || ANNOUNCEMENT_STYLES.info.className
+              : 'bg-muted/40 border-muted-foreground'
+          }`}
+        >
+          {pinned.kind === 'announcement'
+            ? <Megaphone className="h-4 w-4 mt-0.5 shrink-0" />
+            : <Pin className="h-4 w-4 mt-0.5 shrink-0" />}
+          <div className="min-w-0 flex-1">
+            <p className="text-xs font-medium text-muted-foreground">
+              {pinned.kind === 'announcement' ? 'Announcement' : `Pinned · ${pinned.username}`}
+            </p>
+            <p className="break-words">{pinned.text}</p>
+          </div>
+          {isHost && (
+            <Button variant="ghost" size="icon" className="h-6 w-6 shrink-0" title="Unpin" onClick={unpinMessage}>
+              <X className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+      )}
+      
+      {poll && (
+        <div className="mx-4 mb-2">
+          <PollCard
+            poll={poll}
+            myVote={myVote?.pollId === poll.id ? myVote.optionIndex : null}
+            onVote={restriction ? undefined : votePoll}
+            onEnd={isHost ? endPoll : undefined}
+            onDismiss={() => setPoll(null)}
+          />
+        </div>
+      )}
+      
+      {describeChatModes(chatModes).length > 0 && (
+        <div className="flex flex-wrap gap-1 px-4 pb-2">
+          {describeChatModes(chatModes).map(label => (
+            <Badge key={label} variant="outline">{label}</Badge>
+          ))}
+        </div>
+      )}
+      
+      <div className={`flex gap-1 px-4 pb-2 ${replay ? 'hidden' : ''}`}>
+        <Button
+          variant={activeTab === 'chat' ? 'default' : 'ghost'}
+          size="sm"
+          className="h-7"
+          onClick={() => setActiveTab('chat')}
+        >
+          Chat
+        </Button>
+        <Button
+          variant={activeTab === 'qa' ? 'default' : 'ghost'}
+          size="sm"
+          className="h-7"
+          onClick={() => setActiveTab('qa')}
+        >
+          Q&amp;A
+        </Button>
+      </div>
+      
+      <QuestionsPanel
+        socket={socket}
+        roomId={roomId}
+        userId={userId}
+        username={username}
+        isHost={isHost}
+        restricted={Boolean(restriction)}
+        active={activeTab === 'qa'}
+        onOpen={() => setActiveTab('qa')}
+      />
+      
+      {/* Kept mounted on the Q&A tab so scroll position and history survive */}
+      <Separator className={activeTab === 'chat' ? undefined : 'hidden'} />
+      
+      <CardContent className={`flex-1 p-0 ${activeTab === 'chat' ? '' : 'hidden'}`}>
         <ScrollArea className="h-[400px] p-4">
           <div className="space-y-4">
-            {messages.length === 0 ? (
+            <div ref={topSentinelRef} />
+            {loadingHistory && (
+              <div className="flex justify-center py-2">
+                <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+              </div>
+            )}
+            {shownMessages.length === 0 && !loadingHistory ? (
               <p className="text-center text-muted-foreground text-sm py-4">
-                No messages yet. Be the first to chat!
+                {replay ? 'No chat at this point in the stream.' : 'No messages yet. Be the first to chat!'}
               </p>
             ) : (
-              messages.map((msg) => (
+              shownMessages.map((msg) => (
                 <div 
                   key={msg.id} 
+                  ref={(el) => {
+                    if (el) messageRefs.current.set(msg.id, el);
+                    else messageRefs.current.delete(msg.id);
+                  }}
                   className={`${
                     msg.isSystem 
                       ? 'bg-muted/30 italic' 
-                      : msg.userId === userId 
-                        ? 'bg-accent/10' 
-                        : ''
+                      : isMentioned(msg)
+                        ? 'bg-yellow-500/10 border-l-2 border-yellow-500'
+                        : msg.userId === userId 
+                          ? 'bg-accent/10' 
+                          : ''
                   } p-2 rounded-md`}
                 >
                   <div className="flex justify-between">
-                    <span className="font-medium text-sm">
+                    <span className="flex items-center gap-1 font-medium text-sm">
                       {msg.username}
+                      {!msg.isSystem && msg.userId === channelHostId && (
+                        <Badge variant="secondary">Host</Badge>
+                      )}
+                      {!msg.isSystem && isModeratorUser(msg.userId) && (
+                        <Badge variant="outline">
+                          <Shield />
+                          Mod
+                        </Badge>
+                      )}
                     </span>
                     <span className="text-xs text-muted-foreground">
-                      {formatTimestamp(msg.timestamp)}
+                      {replay ? formatDuration(msg.replayAt) : formatTimestamp(msg.timestamp)}
                     </span>
                   </div>
                   
+                  {msg.replyTo && (
+                    <button
+                      type="button"
+                      className="mt-1 block w-full truncate border-l-2 border-muted-foreground/40 pl-2 text-left text-xs text-muted-foreground hover:text-foreground"
+                      onClick={() => scrollToMessage(msg.replyTo.messageId)}
+                    >
+                      <Reply className="inline h-3 w-3 mr-1" />
+                      <span className="font-medium">{msg.replyTo.username}</span>: {msg.replyTo.text}
+                    </button>
+                  )}
+                  
                   <p className="text-sm mt-1">{msg.text}</p>
+                  {msg.held && (
+                    <p className="text-xs text-muted-foreground italic mt-1">Held for review by the chat filter</p>
+                  )}
                   
                   {!msg.isSystem && (
                     <div className="mt-2 flex items-center justify-between">
                       <div className="flex flex-wrap gap-1">
-                        {msg.reactions?.map((reaction, index) => (
-                          <span 
-                            key={`${reaction.userId}-${index}`}
-                            className="text-xs bg-muted/40 rounded-full px-2 py-0.5"
-                            title={`${reaction.username}`}
+                        {msg.reactions?.map(({ reaction, count, reacted }) => (
+                          <button
+                            key={reaction}
+                            type="button"
+                            className={`text-xs rounded-full px-2 py-0.5 border ${
+                              reacted ? 'bg-primary/20 border-primary' : 'bg-muted/40 border-transparent hover:bg-muted'
+                            }`}
+                            disabled={Boolean(restriction) || msg.held || Boolean(replay)}
+                            onClick={() => toggleReaction(msg.id, reaction)}
                           >
-                            {reaction.reaction}
-                          </span>
+                            {reaction} <span className="tabular-nums">{count}</span>
+                          </button>
                         ))}
                       </div>
                       
-                      <div className="flex gap-1">
-                        <Popover open={emojiPickerOpen && msg.id === `emoji-target-${msg.id}`}>
-                          <PopoverTrigger asChild>
-                            <Button 
-                              variant="ghost" 
-                              size="icon" 
+                      {!replay && (
+                        <div className="flex gap-1">
+                          {!msg.held && (
+                            <Button
+                              variant="ghost"
+                              size="icon"
                               className="h-6 w-6"
-                              onClick={() => setEmojiPickerOpen(prev => !prev)}
+                              title="Reply"
+                              onClick={() => startReply(msg)}
                             >
-                              <Smile className="h-4 w-4" />
+                              <Reply className="h-4 w-4" />
                             </Button>
-                          </PopoverTrigger>
-                          <PopoverContent className="w-full p-0" align="end">
-                            <div className="emoji-reaction-selector grid grid-cols-8 gap-1 p-2">
-                              {['👍', '❤️', '😂', '😮', '😢', '👏', '🔥', '🎉'].map(emoji => (
-                                <button
-                                  key={emoji}
-                                  className="text-xl hover:bg-accent/20 rounded p-1"
-                                  onClick={() => {
-                                    addReaction(msg.id, emoji);
-                                    setEmojiPickerOpen(false);
-                                  }}
+                          )}
+                          
+                          {!msg.held && !restriction && (
+                            <Popover
+                              open={reactionPickerFor === msg.id}
+                              onOpenChange={(open) => setReactionPickerFor(open ? msg.id : null)}
+                            >
+                              <PopoverTrigger asChild>
+                                <Button 
+                                  variant="ghost" 
+                                  size="icon" 
+                                  className="h-6 w-6"
+                                  title="React"
                                 >
-                                  {emoji}
-                                </button>
-                              ))}
-                            </div>
-                          </PopoverContent>
-                        </Popover>
-                        
-                        {(isHost || msg.userId === userId) && (
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            className="h-6 w-6 text-destructive"
-                            onClick={() => deleteMessage(msg.id)}
-                          >
-                            <Trash2 className="h-4 w-4" />
-                          </Button>
-                        )}
-                        
-                        {isHost && msg.userId !== userId && !msg.isSystem && (
-                          <DropdownMenu>
-                            <DropdownMenuTrigger asChild>
-                              <Button
-                                variant="ghost"
-                                size="icon"
-                                className="h-6 w-6"
-                              >
-                                <Flag className="h-4 w-4" />
-                              </Button>
-                            </DropdownMenuTrigger>
-                            <DropdownMenuContent align="end">
-                              <DropdownMenuItem
-                                className="text-destructive"
-                                onClick={() => muteUser(msg.userId, msg.username)}
-                              >
-                                <UserX className="h-4 w-4 mr-2" />
-                                Mute {msg.username}
-                              </DropdownMenuItem>
-                            </DropdownMenuContent>
-                          </DropdownMenu>
-                        )}
-                      </div>
+                                  <Smile className="h-4 w-4" />
+                                </Button>
+                              </PopoverTrigger>
+                              <PopoverContent className="w-full p-0" align="end">
+                                <div className="emoji-reaction-selector grid grid-cols-8 gap-1 p-2">
+                                  {REACTION_EMOJIS.map(emoji => (
+                                    <button
+                                      key={emoji}
+                                      className="text-xl hover:bg-accent/20 rounded p-1"
+                                      onClick={() => {
+                                        toggleReaction(msg.id, emoji);
+                                        setReactionPickerFor(null);
+                                      }}
+                                    >
+                                      {emoji}
+                                    </button>
+                                  ))}
+                                </div>
+                              </PopoverContent>
+                            </Popover>
+                          )}
+                          
+                          {isHost && !msg.held && (
+                            <DropdownMenu>
+                              <DropdownMenuTrigger asChild>
+                                <Button variant="ghost" size="icon" className="h-6 w-6" title="Pin">
+                                  <Pin className="h-4 w-4" />
+                                </Button>
+                              </DropdownMenuTrigger>
+                              <DropdownMenuContent align="end">
+                                {PIN_DURATIONS.map(option => (
+                                  <DropdownMenuItem
+                                    key={option.seconds}
+                                    onClick={() => pinMessage(msg.id, option.seconds)}
+                                  >
+                                    Pin {option.seconds ? `for ${option.label}` : 'until unpinned'}
+                                  </DropdownMenuItem>
+                                ))}
+                              </DropdownMenuContent>
+                            </DropdownMenu>
+                          )}
+                          
+                          {(canModerate || msg.userId === userId) && (
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              className="h-6 w-6 text-destructive"
+                              onClick={() => deleteMessage(msg.id)}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          )}
+                          
+                          {msg.userId !== userId && (
+                            <DropdownMenu>
+                              <DropdownMenuTrigger asChild>
+                                <Button
+                                  variant="ghost"
+                                  size="icon"
+                                  className="h-6 w-6"
+                                >
+                                  <Flag className="h-4 w-4" />
+                                </Button>
+                              </DropdownMenuTrigger>
+                              <DropdownMenuContent align="end">
+                                <DropdownMenuSub>
+                                  <DropdownMenuSubTrigger>
+                                    <Flag className="h-4 w-4 mr-2" />
+                                    Report message
+                                  </DropdownMenuSubTrigger>
+                                  <DropdownMenuSubContent>
+                                    {REPORT_REASONS.map(option => (
+                                      <DropdownMenuItem
+                                        key={option.value}
+                                        onClick={() => reportMessage(msg.id, option.value)}
+                                      >
+                                        {option.label}
+                                      </DropdownMenuItem>
+                                    ))}
+                                  </DropdownMenuSubContent>
+                                </DropdownMenuSub>
+                                {canModerate &&
+                                  msg.userId !== channelHostId &&
+                                  (isHost || !isModeratorUser(msg.userId)) && (
+                                  <DropdownMenuSub>
+                                    <DropdownMenuSubTrigger>
+                                      <Clock className="h-4 w-4 mr-2" />
+                                      Timeout {msg.username}
+                                    </DropdownMenuSubTrigger>
+                                    <DropdownMenuSubContent>
+                                      {TIMEOUT_OPTIONS.map(option => (
+                                        <DropdownMenuItem
+                                          key={option.seconds}
+                                          onClick={() => timeoutUser(msg.userId, msg.username, option.seconds)}
+                                        >
+                                          {option.label}
+                                        </DropdownMenuItem>
+                                      ))}
+                                    </DropdownMenuSubContent>
+                                  </DropdownMenuSub>
+                                )}
+                                {isHost && (
+                                  <>
+                                    <DropdownMenuItem
+                                      className="text-destructive"
+                                      onClick={() => banUser(msg.userId, msg.username)}
+                                    >
+                                      <Ban className="h-4 w-4 mr-2" />
+                                      Ban {msg.username}
+                                    </DropdownMenuItem>
+                                    {isModeratorUser(msg.userId) ? (
+                                      <DropdownMenuItem onClick={() => setModerator(msg.userId, msg.username, false)}>
+                                        <ShieldOff className="h-4 w-4 mr-2" />
+                                        Remove moderator
+                                      </DropdownMenuItem>
+                                    ) : (
+                                      <DropdownMenuItem onClick={() => setModerator(msg.userId, msg.username, true)}>
+                                        <ShieldCheck className="h-4 w-4 mr-2" />
+                                        Make moderator
+                                      </DropdownMenuItem>
+                                    )}
+                                  </>
+                                )}
+                              </DropdownMenuContent>
+                            </DropdownMenu>
+                          )}
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
@@ -286,16 +1239,56 @@ const ChatPanel = ({
         </ScrollArea>
       </CardContent>
       
-      <Separator />
+      <Separator className={activeTab === 'chat' && !replay ? undefined : 'hidden'} />
       
-      <CardFooter className="p-4">
+      <CardFooter className={`p-4 flex-col gap-2 ${activeTab === 'chat' && !replay ? '' : 'hidden'}`}>
+        {replyingTo && (
+          <div className="flex w-full items-center justify-between gap-2 rounded-md bg-muted/30 px-3 py-1.5 text-xs">
+            <span className="truncate text-muted-foreground">
+              Replying to <span className="font-medium text-foreground">{replyingTo.username}</span>: {replyingTo.text}
+            </span>
+            <Button variant="ghost" size="icon" className="h-5 w-5 shrink-0" onClick={() => setReplyingTo(null)}>
+              <X className="h-3 w-3" />
+            </Button>
+          </div>
+        )}
         <form onSubmit={sendMessage} className="flex w-full gap-2">
           <div className="relative flex-1">
+            {mentionSuggestions.length > 0 && (
+              <ul className="absolute bottom-full left-0 z-10 mb-1 w-full rounded-md border bg-popover p-1 shadow-md">
+                {mentionSuggestions.map((chatter, index) => (
+                  <li key={chatter.userId}>
+                    <button
+                      type="button"
+                      className={`w-full rounded px-2 py-1 text-left text-sm ${
+                        index === Math.min(mentionIndex, mentionSuggestions.length - 1) ? 'bg-accent' : 'hover:bg-accent/50'
+                      }`}
+                      onMouseDown={(e) => {
+                        // Keep focus in the input
+                        e.preventDefault();
+                        insertMention(chatter);
+                      }}
+                    >
+                      @{chatter.username}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
             <Input
               type="text"
-              placeholder="Type a message..."
+              placeholder={
+                restriction
+                  ? `You are ${describeRestriction(restriction)}`
+                  : chatModes.emoteOnly && !canModerate ? "Emotes only..." : "Type a message..."
+              }
               value={message}
-              onChange={(e) => setMessage(e.target.value)}
+              onChange={(e) => {
+                setMessage(e.target.value);
+                setMentionsDismissed(false);
+              }}
+              onKeyDown={handleInputKeyDown}
+              disabled={Boolean(restriction)}
               className="pr-10"
             />
             <Popover open={emojiPickerOpen && !message.length}>
@@ -320,8 +1313,10 @@ const ChatPanel = ({
               </PopoverContent>
             </Popover>
           </div>
-          <Button type="submit" size="icon">
-            <Send className="h-4 w-4" />
+          <Button type="submit" size="icon" disabled={Boolean(restriction) || cooldownRemaining > 0}>
+            {cooldownRemaining > 0
+              ? <span className="text-xs tabular-nums">{formatCooldown(cooldownRemaining)}</span>
+              : <Send className="h-4 w-4" />}
           </Button>
         </form>
       </CardFooter>
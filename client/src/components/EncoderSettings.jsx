@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { Eye, EyeOff, Copy } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+
+// RTMP ingest server encoders publish to - see server/src/rtmpServer.js
+const RTMP_URL = import.meta.env.VITE_RTMP_URL || `rtmp://${window.location.hostname}:1935/live`;
+
+const EncoderSettings = ({ ingestKey }) => {
+  const [showKey, setShowKey] = useState(false);
+
+  const copyToClipboard = (value) => {
+    navigator.clipboard?.writeText(value).catch(err => {
+      console.error('Could not copy to clipboard:', err);
+    });
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 space-y-3">
+      <h3 className="font-semibold">Encoder Settings</h3>
+      <p className="text-sm text-gray-400">
+        Point OBS (Settings → Stream → Custom) at this server. Your stream goes live as soon as the encoder starts publishing.
+      </p>
+
+      <div>
+        <label className="text-sm text-gray-400 mb-1 block">Server</label>
+        <div className="flex gap-2">
+          <Input type="text" value={RTMP_URL} readOnly />
+          <Button variant="outline" size="icon" onClick={() => copyToClipboard(RTMP_URL)}>
+            <Copy className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      <div>
+        <label className="text-sm text-gray-400 mb-1 block">Stream Key</label>
+        <div className="flex gap-2">
+          <Input type={showKey ? 'text' : 'password'} value={ingestKey || ''} readOnly />
+          <Button variant="outline" size="icon" onClick={() => setShowKey(prev => !prev)}>
+            {showKey ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+          </Button>
+          <Button variant="outline" size="icon" onClick={() => copyToClipboard(ingestKey)}>
+            <Copy className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EncoderSettings;
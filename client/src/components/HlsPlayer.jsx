@@ -0,0 +1,98 @@
+import { useEffect, useRef } from 'react';
+import Hls from 'hls.js';
+
+// Label a level from the master playlist; audio-only renditions have no height
+const getRenditionLabel = (level) => (level?.height ? `${level.height}p` : 'audio only');
+
+const HlsPlayer = ({ src, className, onReady, onFatalError, onRenditionChange }) => {
+  const videoRef = useRef();
+
+  // Keep the latest callbacks without reloading the stream when they change
+  const onReadyRef = useRef(onReady);
+  const onFatalErrorRef = useRef(onFatalError);
+  const onRenditionChangeRef = useRef(onRenditionChange);
+
+  useEffect(() => {
+    onReadyRef.current = onReady;
+    onFatalErrorRef.current = onFatalError;
+    onRenditionChangeRef.current = onRenditionChange;
+  }, [onReady, onFatalError, onRenditionChange]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !src) return;
+
+    const startPlayback = () => {
+      onReadyRef.current?.();
+      video.play().catch(err => {
+        // Autoplay can be blocked; the native controls let the viewer start it
+        console.error('Error playing HLS stream:', err);
+      });
+    };
+
+    // Safari plays HLS natively
+    if (!Hls.isSupported()) {
+      if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        video.src = src;
+        video.addEventListener('loadedmetadata', startPlayback, { once: true });
+        return () => {
+          video.removeEventListener('loadedmetadata', startPlayback);
+          video.removeAttribute('src');
+        };
+      }
+
+      onFatalErrorRef.current?.(new Error('HLS playback is not supported in this browser'));
+      return;
+    }
+
+    const hls = new Hls({
+      // The playlist may not exist yet right after the room goes live
+      manifestLoadingMaxRetry: 10,
+      manifestLoadingRetryDelay: 1000,
+      liveSyncDurationCount: 3,
+      // Don't pull a 1080p rendition into a small player
+      capLevelToPlayerSize: true
+    });
+
+    hls.on(Hls.Events.MANIFEST_PARSED, startPlayback);
+
+    // hls.js picks the rendition from measured bandwidth; just report it
+    hls.on(Hls.Events.LEVEL_SWITCHED, (event, data) => {
+      onRenditionChangeRef.current?.(getRenditionLabel(hls.levels[data.level]));
+    });
+
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal) return;
+
+      console.error('HLS error:', data.type, data.details);
+
+      // Try to recover from transient failures before giving up
+      if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+        hls.recoverMediaError();
+      } else if (data.type === Hls.ErrorTypes.NETWORK_ERROR && data.details !== Hls.ErrorDetails.MANIFEST_LOAD_ERROR) {
+        hls.startLoad();
+      } else {
+        onFatalErrorRef.current?.(new Error(data.details));
+        hls.destroy();
+      }
+    });
+
+    hls.loadSource(src);
+    hls.attachMedia(video);
+
+    return () => {
+      hls.destroy();
+    };
+  }, [src]);
+
+  return (
+    <video
+      ref={videoRef}
+      playsInline
+      controls
+      className={className}
+    />
+  );
+};
+
+export default HlsPlayer;
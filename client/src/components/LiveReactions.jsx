@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef } from 'react';
+import { LIVE_REACTIONS } from '../lib/constants';
+
+// Matches LIVE_REACTION_INTERVAL in server/index.js; a batch's reactions are
+// spread over it so they don't all start at once
+const BATCH_INTERVAL = 500;
+
+// Most of one emoji drawn per batch, and on screen at a time. Counts above
+// that still arrive, they just don't each get their own bubble.
+const MAX_PER_BATCH = 8;
+const MAX_ON_SCREEN = 60;
+
+// Overlay for the video that floats the room's live reactions up its right
+// edge. Viewers also get a row of buttons to send their own.
+const LiveReactions = ({ socket, roomId, showControls = false }) => {
+  const [particles, setParticles] = useState([]);
+  const nextIdRef = useRef(0);
+
+  useEffect(() => {
+    if (!socket || !roomId) return;
+
+    const handleLiveReactions = ({ counts }) => {
+      const batch = [];
+      Object.entries(counts).forEach(([reaction, count]) => {
+        for (let i = 0; i < Math.min(count, MAX_PER_BATCH); i++) {
+          batch.push({
+            id: nextIdRef.current++,
+            reaction,
+            left: 70 + Math.random() * 25,
+            drift: `${Math.round((Math.random() - 0.5) * 60)}px`,
+            delay: Math.round(Math.random() * BATCH_INTERVAL)
+          });
+        }
+      });
+
+      setParticles(prev => [...prev, ...batch].slice(-MAX_ON_SCREEN));
+    };
+
+    socket.on('live-reactions', handleLiveReactions);
+
+    return () => {
+      socket.off('live-reactions', handleLiveReactions);
+    };
+  }, [socket, roomId]);
+
+  const removeParticle = (id) => {
+    setParticles(prev => prev.filter(particle => particle.id !== id));
+  };
+
+  const sendReaction = (reaction) => {
+    socket?.emit('send-live-reaction', { roomId, reaction });
+  };
+
+  return (
+    <>
+      <div className="pointer-events-none absolute inset-0 overflow-hidden">
+        {particles.map(particle => (
+          <span
+            key={particle.id}
+            className="live-reaction absolute bottom-16 text-2xl opacity-0"
+            style={{
+              left: `${particle.left}%`,
+              animationDelay: `${particle.delay}ms`,
+              '--drift': particle.drift
+            }}
+            onAnimationEnd={() => removeParticle(particle.id)}
+          >
+            {particle.reaction}
+          </span>
+        ))}
+      </div>
+
+      {showControls && (
+        <div className="absolute bottom-14 left-3 flex gap-1 rounded-full bg-black/50 px-2 py-1">
+          {LIVE_REACTIONS.map(reaction => (
+            <button
+              key={reaction}
+              type="button"
+              className="rounded-full p-1 text-xl leading-none transition-transform hover:scale-125 active:scale-90"
+              title="Send reaction"
+              onClick={() => sendReaction(reaction)}
+            >
+              {reaction}
+            </button>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default LiveReactions;
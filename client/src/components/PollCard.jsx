@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { BarChart3, X } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+
+const secondsUntil = (endsAt) => Math.max(Math.ceil((new Date(endsAt).getTime() - Date.now()) / 1000), 0);
+
+// Seconds until the poll closes, updated every second while it's open
+const useSecondsLeft = (endsAt, closed) => {
+  const [secondsLeft, setSecondsLeft] = useState(() => secondsUntil(endsAt));
+
+  useEffect(() => {
+    if (closed) return;
+
+    const tick = () => {
+      setSecondsLeft(secondsUntil(endsAt));
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [endsAt, closed]);
+
+  return secondsLeft;
+};
+
+// A poll with its live tallies. Options are buttons until the viewer has
+// voted or the poll is over; after that they show the results.
+const PollCard = ({ poll, myVote = null, onVote, onEnd, onDismiss }) => {
+  const secondsLeft = useSecondsLeft(poll.endsAt, poll.closed);
+  const closed = poll.closed || secondsLeft === 0;
+  const showResults = closed || myVote !== null || !onVote;
+
+  return (
+    <div className="rounded-md border p-3 space-y-2 text-sm">
+      <div className="flex items-start justify-between gap-2">
+        <div className="flex items-start gap-2 min-w-0">
+          <BarChart3 className="h-4 w-4 mt-0.5 shrink-0" />
+          <p className="font-medium break-words">{poll.question}</p>
+        </div>
+        {closed && onDismiss && (
+          <Button variant="ghost" size="icon" className="h-6 w-6 shrink-0" onClick={onDismiss}>
+            <X className="h-4 w-4" />
+          </Button>
+        )}
+      </div>
+
+      <div className="space-y-1">
+        {poll.options.map((option, index) => {
+          const percent = poll.totalVotes ? Math.round((option.votes / poll.totalVotes) * 100) : 0;
+
+          return showResults ? (
+            <div key={index} className="relative overflow-hidden rounded bg-muted/30 px-2 py-1">
+              <div
+                className={`absolute inset-y-0 left-0 ${index === myVote ? 'bg-primary/40' : 'bg-primary/20'}`}
+                style={{ width: `${percent}%` }}
+              />
+              <div className="relative flex justify-between gap-2">
+                <span className="truncate">{option.text}</span>
+                <span className="tabular-nums text-muted-foreground">{percent}%</span>
+              </div>
+            </div>
+          ) : (
+            <Button
+              key={index}
+              variant="outline"
+              size="sm"
+              className="w-full justify-start"
+              onClick={() => onVote(index)}
+            >
+              {option.text}
+            </Button>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center justify-between text-xs text-muted-foreground">
+        <span>
+          {poll.totalVotes} {poll.totalVotes === 1 ? 'vote' : 'votes'} · {closed ? 'Final results' : `${secondsLeft}s left`}
+        </span>
+        {!closed && onEnd && (
+          <Button variant="ghost" size="sm" className="h-6 px-2 text-xs" onClick={onEnd}>
+            End poll
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PollCard;
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+
+// Matches the limits in server/models/Poll.js
+const MAX_OPTIONS = 6;
+
+// Durations offered for a poll, in seconds
+const POLL_DURATIONS = [
+  { label: '30 seconds', seconds: 30 },
+  { label: '1 minute', seconds: 60 },
+  { label: '2 minutes', seconds: 120 },
+  { label: '5 minutes', seconds: 300 },
+  { label: '10 minutes', seconds: 600 }
+];
+
+// Studio form for starting a poll. Results show up in the chat panel, where
+// the host can also end the poll early.
+const PollCreator = ({ socket, roomId, userId }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [duration, setDuration] = useState(60);
+
+  const filledOptions = options.map(option => option.trim()).filter(Boolean);
+  const canStart = question.trim() && filledOptions.length >= 2;
+
+  const updateOption = (index, value) => {
+    setOptions(prev => prev.map((option, i) => (i === index ? value : option)));
+  };
+
+  const startPoll = (e) => {
+    e.preventDefault();
+    if (!canStart || !socket) return;
+
+    socket.emit('create-poll', {
+      roomId,
+      userId,
+      question: question.trim(),
+      options: filledOptions,
+      duration
+    });
+
+    setQuestion('');
+    setOptions(['', '']);
+  };
+
+  return (
+    <form onSubmit={startPoll} className="bg-gray-900 rounded-lg p-4 space-y-3">
+      <h3 className="font-semibold">Start a Poll</h3>
+
+      <Input
+        type="text"
+        placeholder="Ask your viewers something..."
+        maxLength={200}
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+      />
+
+      <div className="space-y-2">
+        {options.map((option, index) => (
+          <div key={index} className="flex gap-2">
+            <Input
+              type="text"
+              placeholder={`Option ${index + 1}`}
+              maxLength={80}
+              value={option}
+              onChange={(e) => updateOption(index, e.target.value)}
+            />
+            {options.length > 2 && (
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => setOptions(prev => prev.filter((_, i) => i !== index))}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {options.length < MAX_OPTIONS && (
+          <Button type="button" variant="outline" size="sm" onClick={() => setOptions(prev => [...prev, ''])}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add option
+          </Button>
+        )}
+        <select
+          className="h-9 rounded-md border bg-background px-2 text-sm"
+          value={duration}
+          onChange={(e) => setDuration(Number(e.target.value))}
+        >
+          {POLL_DURATIONS.map(option => (
+            <option key={option.seconds} value={option.seconds}>{option.label}</option>
+          ))}
+        </select>
+        <Button type="submit" size="sm" className="ml-auto" disabled={!canStart}>
+          Start poll
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default PollCreator;
@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { ArrowBigUp, Check, Mic, Send } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { CardContent, CardFooter } from "@/components/ui/card";
+import { Separator } from "@/components/ui/separator";
+import { ScrollArea } from "@/components/ui/scroll-area";
+
+const STATUS_ORDER = { answering: 0, open: 1, answered: 2 };
+
+// The question being answered first, then open questions by votes (oldest
+// first on a tie), then answered ones, most recent first
+const sortQuestions = (questions) => [...questions].sort((a, b) => {
+  if (a.status !== b.status) return STATUS_ORDER[a.status] - STATUS_ORDER[b.status];
+  if (a.status === 'answered') return new Date(b.answeredAt) - new Date(a.answeredAt);
+  if (a.votes !== b.votes) return b.votes - a.votes;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+});
+
+// Q&A tab of the chat panel. Stays mounted while the chat tab is shown so the
+// list keeps up to date; in that case it only shows the question being answered.
+const QuestionsPanel = ({ socket, roomId, userId, username, isHost = false, restricted = false, active, onOpen }) => {
+  const [questions, setQuestions] = useState([]);
+  const [upvotedIds, setUpvotedIds] = useState(() => new Set());
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    if (!socket || !roomId) return;
+
+    socket.on('questions', (list) => {
+      setQuestions(list);
+      setUpvotedIds(new Set(list.filter(question => question.upvoted).map(question => question.id)));
+    });
+
+    socket.on('question-updated', (question) => {
+      setQuestions(prev => [...prev.filter(item => item.id !== question.id), question]);
+    });
+
+    socket.on('question-upvoted', ({ questionId }) => {
+      setUpvotedIds(prev => new Set(prev).add(questionId));
+    });
+
+    socket.emit('get-questions', { roomId });
+
+    return () => {
+      socket.off('questions');
+      socket.off('question-updated');
+      socket.off('question-upvoted');
+    };
+  }, [socket, roomId]);
+
+  const answering = questions.find(question => question.status === 'answering');
+
+  if (!active) {
+    if (!answering) return null;
+
+    return (
+      <button
+        type="button"
+        className="mx-4 mb-2 flex items-start gap-2 rounded-md border-l-4 border-primary bg-primary/10 p-2 text-left text-sm"
+        onClick={onOpen}
+      >
+        <Mic className="h-4 w-4 mt-0.5 shrink-0" />
+        <div className="min-w-0 flex-1">
+          <p className="text-xs font-medium text-muted-foreground">Answering now · {answering.username}</p>
+          <p className="break-words">{answering.text}</p>
+        </div>
+      </button>
+    );
+  }
+
+  const askQuestion = (e) => {
+    e.preventDefault();
+    if (!text.trim() || !socket) return;
+
+    socket.emit('ask-question', { roomId, userId, username, text: text.trim() });
+    setText('');
+  };
+
+  const upvoteQuestion = (questionId) => {
+    socket.emit('upvote-question', { roomId, userId, questionId });
+  };
+
+  const setQuestionStatus = (questionId, status) => {
+    socket.emit('set-question-status', { roomId, userId, questionId, status });
+  };
+
+  return (
+    <>
+      <Separator />
+
+      <CardContent className="flex-1 p-0">
+        <ScrollArea className="h-[400px] p-4">
+          {questions.length === 0 ? (
+            <p className="text-center text-muted-foreground text-sm py-4">
+              No questions yet. Ask the first one!
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {sortQuestions(questions).map(question => {
+                const canUpvote = question.userId !== userId && question.status !== 'answered' && !upvotedIds.has(question.id);
+
+                return (
+                  <li
+                    key={question.id}
+                    className={`flex gap-2 rounded-md p-2 ${
+                      question.status === 'answering'
+                        ? 'border-l-4 border-primary bg-primary/10'
+                        : question.status === 'answered' ? 'opacity-60' : 'bg-muted/20'
+                    }`}
+                  >
+                    <Button
+                      variant={upvotedIds.has(question.id) ? 'secondary' : 'ghost'}
+                      size="sm"
+                      className="h-auto flex-col gap-0 px-2 py-1"
+                      disabled={!canUpvote}
+                      title={canUpvote ? 'Upvote' : undefined}
+                      onClick={() => upvoteQuestion(question.id)}
+                    >
+                      <ArrowBigUp className="h-4 w-4" />
+                      <span className="text-xs tabular-nums">{question.votes}</span>
+                    </Button>
+
+                    <div className="min-w-0 flex-1 space-y-1">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-sm truncate">{question.username}</span>
+                        {question.status === 'answering' && <Badge>Answering now</Badge>}
+                        {question.status === 'answered' && <Badge variant="outline">Answered</Badge>}
+                        <span className="text-xs text-muted-foreground">
+                          {formatDistanceToNow(new Date(question.createdAt), { addSuffix: true })}
+                        </span>
+                      </div>
+                      <p className="text-sm break-words">{question.text}</p>
+
+                      {isHost && question.status !== 'answered' && (
+                        <div className="flex gap-1">
+                          {question.status === 'open' && (
+                            <Button variant="outline" size="sm" className="h-7 gap-1" onClick={() => setQuestionStatus(question.id, 'answering')}>
+                              <Mic className="h-3 w-3" />
+                              Answer now
+                            </Button>
+                          )}
+                          <Button variant="outline" size="sm" className="h-7 gap-1" onClick={() => setQuestionStatus(question.id, 'answered')}>
+                            <Check className="h-3 w-3" />
+                            Mark answered
+                          </Button>
+                        </div>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </ScrollArea>
+      </CardContent>
+
+      <Separator />
+
+      <CardFooter className="p-4">
+        <form onSubmit={askQuestion} className="flex w-full gap-2">
+          <Input
+            type="text"
+            placeholder={restricted ? "You can't ask questions right now" : "Ask a question..."}
+            maxLength={300}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            disabled={restricted}
+          />
+          <Button type="submit" size="icon" disabled={restricted || !text.trim()}>
+            <Send className="h-4 w-4" />
+          </Button>
+        </form>
+      </CardFooter>
+    </>
+  );
+};
+
+export default QuestionsPanel;
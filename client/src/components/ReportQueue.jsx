@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Check, X, Trash2, Ban } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { REPORT_REASONS } from '../lib/constants';
+
+const RESOLUTION_LABELS = {
+  approve: 'Message approved',
+  dismiss: 'Report dismissed',
+  delete: 'Message deleted',
+  ban: 'User banned'
+};
+
+const reasonLabel = (reason) => REPORT_REASONS.find(option => option.value === reason)?.label || reason;
+
+// Reported chat messages for the host and moderators. Renders nothing for
+// everyone else, since only moderators get a 'reports' reply.
+const ReportQueue = ({ socket, roomId, userId, username, isHost = false }) => {
+  const [openReports, setOpenReports] = useState(null);
+  const [resolvedReports, setResolvedReports] = useState([]);
+  const [tab, setTab] = useState('open');
+
+  useEffect(() => {
+    if (!socket || !roomId) return;
+
+    const requestReports = () => {
+      socket.emit('get-reports', { roomId, userId, status: 'open' });
+      socket.emit('get-reports', { roomId, userId, status: 'resolved' });
+    };
+
+    const handleReports = ({ status, reports }) => {
+      if (status === 'resolved') {
+        setResolvedReports(reports);
+      } else {
+        setOpenReports(reports);
+      }
+    };
+
+    const handleReportCreated = (report) => {
+      setOpenReports(prev => [report, ...(prev || []).filter(item => item.id !== report.id)]);
+    };
+
+    // Every open report on the message is closed together
+    const handleReportsResolved = ({ messageId }) => {
+      setOpenReports(prev => (prev || []).filter(report => report.messageId !== messageId));
+      socket.emit('get-reports', { roomId, userId, status: 'resolved' });
+    };
+
+    // The roster goes to the whole room on every change, so only act when our
+    // own status flips: someone just made moderator gets the queue without
+    // reloading, and someone removed loses it. The first roster only records
+    // where we stand, since the request below already covers it.
+    let wasModerator = null;
+    const handleModerators = ({ hostId, moderators }) => {
+      const isModerator = isHost || hostId === userId || moderators.some(moderator => moderator.userId === userId);
+      if (wasModerator === false && isModerator) {
+        requestReports();
+      } else if (wasModerator && !isModerator) {
+        setOpenReports(null);
+      }
+      wasModerator = isModerator;
+    };
+
+    socket.on('reports', handleReports);
+    socket.on('report-created', handleReportCreated);
+    socket.on('reports-resolved', handleReportsResolved);
+    // Other components listen for 'moderators' too, so only remove our handlers
+    socket.on('moderators', handleModerators);
+
+    requestReports();
+
+    return () => {
+      socket.off('reports', handleReports);
+      socket.off('report-created', handleReportCreated);
+      socket.off('reports-resolved', handleReportsResolved);
+      socket.off('moderators', handleModerators);
+    };
+  }, [socket, roomId, userId, isHost]);
+
+  if (openReports === null) return null;
+
+  const resolveReport = (reportId, action) => {
+    socket.emit('resolve-report', { roomId, userId, username, reportId, action });
+  };
+
+  const reports = tab === 'open' ? openReports : resolvedReports;
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Reports</h3>
+        <div className="flex gap-1">
+          <Button
+            variant={tab === 'open' ? 'default' : 'ghost'}
+            size="sm"
+            className="h-7"
+            onClick={() => setTab('open')}
+          >
+            Open ({openReports.length})
+          </Button>
+          <Button
+            variant={tab === 'resolved' ? 'default' : 'ghost'}
+            size="sm"
+            className="h-7"
+            onClick={() => setTab('resolved')}
+          >
+            Handled
+          </Button>
+        </div>
+      </div>
+
+      {reports.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {tab === 'open' ? 'No reports to review.' : 'No reports have been handled yet.'}
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {reports.map(report => (
+            <li key={report.id} className="rounded-md bg-gray-800 p-3 space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-sm font-medium truncate">{report.messageUsername || report.messageUserId}</span>
+                <Badge variant="outline">{reasonLabel(report.reason)}</Badge>
+              </div>
+              <p className="text-sm text-gray-300 break-words">{report.messageText}</p>
+              {report.details && (
+                <p className="text-xs text-gray-400 italic">&ldquo;{report.details}&rdquo;</p>
+              )}
+              <p className="text-xs text-gray-500">
+                Reported by {report.reporterUsername || report.reportedBy}{' '}
+                {formatDistanceToNow(new Date(report.createdAt), { addSuffix: true })}
+              </p>
+
+              {report.status === 'open' ? (
+                <div className="flex flex-wrap gap-1">
+                  <Button variant="outline" size="sm" className="h-7 gap-1" onClick={() => resolveReport(report.id, 'approve')}>
+                    <Check className="h-3 w-3" />
+                    Approve
+                  </Button>
+                  <Button variant="outline" size="sm" className="h-7 gap-1" onClick={() => resolveReport(report.id, 'dismiss')}>
+                    <X className="h-3 w-3" />
+                    Dismiss
+                  </Button>
+                  <Button variant="outline" size="sm" className="h-7 gap-1 text-destructive" onClick={() => resolveReport(report.id, 'delete')}>
+                    <Trash2 className="h-3 w-3" />
+                    Delete
+                  </Button>
+                  {isHost && (
+                    <Button variant="destructive" size="sm" className="h-7 gap-1" onClick={() => resolveReport(report.id, 'ban')}>
+                      <Ban className="h-3 w-3" />
+                      Ban
+                    </Button>
+                  )}
+                </div>
+              ) : (
+                <p className="text-xs text-gray-400">
+                  {RESOLUTION_LABELS[report.resolution] || report.resolution} by{' '}
+                  {report.handledByUsername || report.handledBy}{' '}
+                  {report.handledAt && formatDistanceToNow(new Date(report.handledAt), { addSuffix: true })}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReportQueue;
@@ -5,10 +5,11 @@ import { Badge } from './ui/badge';
 import { Input } from './ui/input';
 import { Eye, EyeOff, ChevronDown, ChevronUp, Save, AlertTriangle, Loader2, RefreshCw } from 'lucide-react';
 import io from 'socket.io-client';
+import axios from 'axios';
 import './RtmpControls.css';
 
 // Accept socket as an optional prop
-const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
+const RtmpControls = ({ socket: externalSocket, roomId, userId, token, isHost }) => {
   // Add state for socket management
   const [socket, setSocket] = useState(externalSocket);
   const [socketConnected, setSocketConnected] = useState(false);
@@ -20,13 +21,18 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
   // Set expandedView to true by default so inputs are visible from the start
   const [expandedView, setExpandedView] = useState(true);
   const [destinations, setDestinations] = useState([
-    { platform: 'youtube', streamKey: '', url: 'rtmp://a.rtmp.youtube.com/live2', active: false, enabled: true },
-    { platform: 'facebook', streamKey: '', url: 'rtmp://live-api-s.facebook.com:80/rtmp', active: false, enabled: true },
-    { platform: 'twitch', streamKey: '', url: 'rtmp://live.twitch.tv/app', active: false, enabled: true },
-    { platform: 'custom', streamKey: '', url: '', active: false, enabled: false },
+    { platform: 'youtube', streamKey: '', url: 'rtmp://a.rtmp.youtube.com/live2', preset: '', active: false, enabled: true },
+    { platform: 'facebook', streamKey: '', url: 'rtmp://live-api-s.facebook.com:80/rtmp', preset: '', active: false, enabled: true },
+    { platform: 'twitch', streamKey: '', url: 'rtmp://live.twitch.tv/app', preset: '', active: false, enabled: true },
+    { platform: 'custom', streamKey: '', url: '', preset: '', active: false, enabled: false },
   ]);
   
-  const [isStreaming, setIsStreaming] = useState(false);
+  // Destinations are live independently; any live one means we're streaming
+  const isStreaming = destinations.some(dest => dest.active);
+  
+  // Encoding presets offered by the server; an empty preset uses the platform default
+  const [encodingPresets, setEncodingPresets] = useState([]);
+  
   const [showStreamKeys, setShowStreamKeys] = useState({});
   const [platformStatus, setPlatformStatus] = useState({
     youtube: { status: 'idle', error: null },
@@ -34,8 +40,11 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
     twitch: { status: 'idle', error: null },
     custom: { status: 'idle', error: null }
   });
+  // Last status per platform, so repeated stats updates don't re-toast
+  const platformStatusRef = useRef({});
   const [savedKeys, setSavedKeys] = useState({});
   const localStorageKey = `rtmp-keys-${userId}`;
+  const presetsStorageKey = `rtmp-presets-${userId}`;
   
   const socketRef = useRef(null);
 
@@ -116,8 +125,12 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
       setReconnecting(false);
       reconnectAttempts.current = 0;
       
-      // Join room if available
+      // Join room if available. A socket of our own registers first, with
+      // the same id and token as the page's.
       if (roomId) {
+        if (!externalSocket) {
+          currentSocket.emit('register-user', { userId, token });
+        }
         console.log(`Joining room ${roomId}`);
         currentSocket.emit('join-room', roomId, userId);
       }
@@ -190,7 +203,7 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
         }
       }
     };
-  }, [externalSocket, roomId, userId]);
+  }, [externalSocket, roomId, userId, token]);
 
   // Load saved stream keys from localStorage
   useEffect(() => {
@@ -215,6 +228,33 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
     }
   }, [userId, localStorageKey]);
 
+  // Load the available encoding presets and the saved choice per platform
+  useEffect(() => {
+    const fetchPresets = async () => {
+      try {
+        const response = await axios.get(`${import.meta.env.VITE_API_URL}/api/rtmp/presets`);
+        const { presets, defaults } = response.data;
+        setEncodingPresets(presets);
+        
+        let savedPresets = {};
+        try {
+          savedPresets = JSON.parse(localStorage.getItem(presetsStorageKey)) || {};
+        } catch (error) {
+          console.error('Error loading saved encoding presets:', error);
+        }
+        
+        setDestinations(prev => prev.map(dest => ({
+          ...dest,
+          preset: dest.preset || savedPresets[dest.platform] || defaults[dest.platform] || ''
+        })));
+      } catch (error) {
+        console.error('Error fetching encoding presets:', error);
+      }
+    };
+    
+    fetchPresets();
+  }, [presetsStorageKey]);
+
   // Set up RTMP stream status listeners
   useEffect(() => {
     if (!socket || !socketConnected || !roomId) {
@@ -230,12 +270,11 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
       if (response.success) {
         // Add null check for destinations
         const destinations = response.destinations || [];
-        setIsStreaming(destinations.length > 0);
         
-        // Update active destinations with null check
+        // Mark the started destinations active; others keep their state
         setDestinations(prev => prev.map(dest => {
-          const active = destinations.some(d => d.platform === dest.platform);
-          return { ...dest, active };
+          const started = destinations.some(d => d.platform === dest.platform);
+          return started ? { ...dest, active: true } : dest;
         }));
         
         toast.success('Stream started successfully!');
@@ -247,12 +286,14 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
     const handleStreamStopped = (response) => {
       console.log('RTMP stream stopped:', response);
       if (response.success) {
-        setIsStreaming(false);
+        // Update active destinations (just one when a single platform was stopped)
+        setDestinations(prev => prev.map(dest => (
+          !response.platform || dest.platform === response.platform
+            ? { ...dest, active: false }
+            : dest
+        )));
         
-        // Update active destinations
-        setDestinations(prev => prev.map(dest => ({ ...dest, active: false })));
-        
-        toast.info('Stream stopped.');
+        toast.info(response.platform ? `${getPlatformName(response.platform)} stream stopped.` : 'Stream stopped.');
       } else {
         toast.error(`Failed to stop stream: ${response.error}`);
       }
@@ -260,33 +301,83 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
     
     const handlePlatformStatus = (statusUpdate) => {
       console.log('RTMP platform status update:', statusUpdate);
+      const previousStatus = platformStatusRef.current[statusUpdate.platform];
+      platformStatusRef.current[statusUpdate.platform] = statusUpdate.status;
+      
       setPlatformStatus(prev => ({
         ...prev,
         [statusUpdate.platform]: {
           status: statusUpdate.status,
-          error: statusUpdate.error || null
+          error: statusUpdate.error || null,
+          stats: statusUpdate.stats || null,
+          attempt: statusUpdate.attempt || 0
         }
       }));
       
+      // The encoder's lifecycle is the source of truth for whether a platform is live
+      const active = ['connecting', 'connected', 'reconnecting'].includes(statusUpdate.status);
+      setDestinations(prev => prev.map(dest => 
+        dest.platform === statusUpdate.platform ? { ...dest, active } : dest
+      ));
+      
       // Show toast for errors
       if (statusUpdate.status === 'error' && statusUpdate.error) {
         toast.error(`${getPlatformName(statusUpdate.platform)} error: ${statusUpdate.error}`);
       }
       
-      // Show toast for successful connections
-      if (statusUpdate.status === 'connected') {
+      // Let the host know the server is retrying a dropped connection
+      if (statusUpdate.status === 'reconnecting' && previousStatus !== 'reconnecting') {
+        toast.warning(`${getPlatformName(statusUpdate.platform)} connection lost, reconnecting...`);
+      }
+      
+      // Show toast for successful connections (stats updates repeat this status)
+      if (statusUpdate.status === 'connected' && previousStatus !== 'connected') {
         toast.success(`${getPlatformName(statusUpdate.platform)} connected successfully!`);
       }
     };
     
+    const handleStreamError = (response) => {
+      console.error('RTMP stream error:', response);
+      toast.error(response.message || 'Streaming error');
+    };
+    
+    // Restore which platforms are live after a page refresh
+    const handleExternalStatus = (response) => {
+      console.log('External streaming status:', response);
+      const statuses = response.statuses || {};
+      
+      setDestinations(prev => prev.map(dest => ({
+        ...dest,
+        active: (response.platforms || []).includes(dest.platform),
+        enabled: dest.enabled || (response.platforms || []).includes(dest.platform)
+      })));
+      
+      Object.entries(statuses).forEach(([platform, { status }]) => {
+        platformStatusRef.current[platform] = status;
+      });
+      setPlatformStatus(prev => {
+        const next = { ...prev };
+        Object.entries(statuses).forEach(([platform, { status, stats }]) => {
+          next[platform] = { status: status || 'connecting', error: null, stats: stats || null, attempt: 0 };
+        });
+        return next;
+      });
+    };
+    
     socket.on('rtmp-stream-started', handleStreamStarted);
     socket.on('rtmp-stream-stopped', handleStreamStopped);
+    socket.on('rtmp-stream-error', handleStreamError);
     socket.on('rtmp-platform-status', handlePlatformStatus);
+    socket.on('external-streaming-status', handleExternalStatus);
+    
+    socket.emit('get-external-streaming-status', { roomId });
     
     return () => {
       socket.off('rtmp-stream-started', handleStreamStarted);
       socket.off('rtmp-stream-stopped', handleStreamStopped);
+      socket.off('rtmp-stream-error', handleStreamError);
       socket.off('rtmp-platform-status', handlePlatformStatus);
+      socket.off('external-streaming-status', handleExternalStatus);
     };
   }, [socket, socketConnected, roomId]);
   
@@ -325,8 +416,16 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
       }
     });
     
+    const presets = {};
+    destinations.forEach(dest => {
+      if (dest.preset) {
+        presets[dest.platform] = dest.preset;
+      }
+    });
+    
     try {
       localStorage.setItem(localStorageKey, JSON.stringify(keys));
+      localStorage.setItem(presetsStorageKey, JSON.stringify(presets));
       setSavedKeys(keys);
       toast.success('Stream keys saved!');
     } catch (error) {
@@ -338,14 +437,11 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
   // Start streaming
   const handleStartStreaming = () => {
     try {
-      setIsStreaming(true);
-      
       // Filter enabled destinations
       const enabledDestinations = destinations.filter(dest => dest.enabled);
       
       if (enabledDestinations.length === 0) {
         toast.warning('Please enable at least one streaming platform');
-        setIsStreaming(false);
         return;
       }
       
@@ -360,10 +456,31 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
     } catch (error) {
       console.error('Error starting stream:', error);
       toast.error('Failed to start streaming');
-      setIsStreaming(false);
     }
   };
   
+  // Add one platform to a running broadcast
+  const handleStartDestination = (dest) => {
+    if (!socket || !socketConnected) {
+      toast.error('Not connected to server. Please try again later.');
+      return;
+    }
+    
+    console.log(`Starting RTMP stream to ${dest.platform}`);
+    socket.emit('start-rtmp-destination', { roomId, userId, destination: dest });
+  };
+  
+  // Drop one platform; the others keep streaming
+  const handleStopDestination = (platform) => {
+    if (!socket || !socketConnected) {
+      toast.error('Not connected to server. Please try again later.');
+      return;
+    }
+    
+    console.log(`Stopping RTMP stream to ${platform}`);
+    socket.emit('stop-rtmp-destination', { roomId, userId, platform });
+  };
+  
   // Stop streaming
   const handleStopStreaming = () => {
     if (!socket || !socketConnected) {
@@ -372,7 +489,7 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
     }
     
     console.log('Stopping RTMP stream');
-    socket.emit('stop-rtmp', { roomId });
+    socket.emit('stop-rtmp', { roomId, userId });
   };
   
   // Helper functions for UI
@@ -390,9 +507,26 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
     return '📺'; // Use actual icons in a real implementation
   };
   
+  const getPresetSummary = (presetId) => {
+    const preset = encodingPresets.find(p => p.id === presetId);
+    if (!preset) return '';
+    return `${preset.width}x${preset.height} · ${preset.framerate}fps · ${preset.videoBitrate} kbps video · ${preset.audioBitrate} kbps audio · keyframe every ${preset.keyframeInterval}s`;
+  };
+  
+  // e.g. "30 fps · 2950 kbps · 1.00x · 3 dropped"
+  const formatEncoderStats = (stats) => {
+    const parts = [];
+    if (stats.fps !== null) parts.push(`${stats.fps} fps`);
+    if (stats.bitrate !== null) parts.push(`${Math.round(stats.bitrate)} kbps`);
+    if (stats.speed !== null) parts.push(`${stats.speed.toFixed(2)}x`);
+    if (stats.droppedFrames > 0) parts.push(`${stats.droppedFrames} dropped`);
+    return parts.join(' · ');
+  };
+  
   const getStatusColor = (status) => {
     switch (status) {
-      case 'connecting': return 'bg-yellow-500';
+      case 'connecting':
+      case 'reconnecting': return 'bg-yellow-500';
       case 'connected': return 'bg-green-500';
       case 'error': return 'bg-red-500';
       default: return 'bg-gray-500';
@@ -502,7 +636,7 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
                       type="checkbox"
                       checked={dest.enabled}
                       onChange={() => handleTogglePlatform(dest.platform)}
-                      disabled={isStreaming || !socketConnected}
+                      disabled={dest.active || !socketConnected}
                     />
                     <span className="platform-name">
                       {getPlatformIcon(dest.platform)} {getPlatformName(dest.platform)}
@@ -515,11 +649,34 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
                     )}
                   </label>
                   
-                  {dest.active && (
-                    <Badge variant="destructive">
-                      Active
-                    </Badge>
-                  )}
+                  <div className="flex items-center gap-2">
+                    {dest.active && (
+                      <Badge variant="destructive">
+                        Active
+                      </Badge>
+                    )}
+                    
+                    {/* Platforms can join or leave while the broadcast runs */}
+                    {isStreaming && (dest.active ? (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleStopDestination(dest.platform)}
+                        disabled={!socketConnected}
+                      >
+                        Stop
+                      </Button>
+                    ) : dest.enabled && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleStartDestination(dest)}
+                        disabled={!dest.streamKey || (dest.platform === 'custom' && !dest.url) || !socketConnected}
+                      >
+                        Go Live
+                      </Button>
+                    ))}
+                  </div>
                 </div>
                 
                 {/* Stream key inputs - now always visible */}
@@ -533,7 +690,7 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
                       placeholder={`${getPlatformName(dest.platform)} Stream Key`}
                       value={dest.streamKey}
                       onChange={(e) => handleInputChange(dest.platform, e.target.value)}
-                      disabled={isStreaming}
+                      disabled={dest.active}
                       className="pr-10 stream-key-field"
                     />
                     <button 
@@ -555,11 +712,46 @@ const RtmpControls = ({ socket: externalSocket, roomId, userId, isHost }) => {
                         placeholder="RTMP URL (e.g., rtmp://your-server.com/live)"
                         value={dest.url}
                         onChange={(e) => handleInputChange(dest.platform, e.target.value, 'url')}
-                        disabled={isStreaming}
+                        disabled={dest.active}
                       />
                     </>
                   )}
                   
+                  {encodingPresets.length > 0 && (
+                    <div>
+                      <label className="text-sm text-gray-400 mb-1 block">
+                        Encoding Preset
+                      </label>
+                      <select
+                        className="encoding-preset-select"
+                        value={dest.preset}
+                        onChange={(e) => handleInputChange(dest.platform, e.target.value, 'preset')}
+                        disabled={dest.active}
+                      >
+                        {encodingPresets.map(preset => (
+                          <option key={preset.id} value={preset.id}>
+                            {preset.label}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {getPresetSummary(dest.preset)}
+                      </p>
+                    </div>
+                  )}
+                  
+                  {platformStatus[dest.platform]?.status === 'connected' && platformStatus[dest.platform].stats && (
+                    <div className="text-xs text-gray-400 mt-1">
+                      {formatEncoderStats(platformStatus[dest.platform].stats)}
+                    </div>
+                  )}
+                  
+                  {platformStatus[dest.platform]?.status === 'reconnecting' && (
+                    <div className="text-yellow-500 text-sm mt-1">
+                      Reconnecting (attempt {platformStatus[dest.platform].attempt})...
+                    </div>
+                  )}
+                  
                   {platformStatus[dest.platform]?.error && (
                     <div className="text-red-500 text-sm mt-1">
                       {platformStatus[dest.platform].error}
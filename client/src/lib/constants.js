@@ -0,0 +1,18 @@
+// Peer id of the server-side SFU in the 'signal' exchange - see server/src/sfu.js
+export const SFU_PEER_ID = 'sfu';
+
+// Reasons a viewer can report a chat message for - see server/models/MessageReport.js
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'hate', label: 'Hate speech' },
+  { value: 'sexual', label: 'Sexual content' },
+  { value: 'violence', label: 'Violence' },
+  { value: 'other', label: 'Something else' }
+];
+
+// Quick reactions offered on chat messages
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '👏', '🔥', '🎉'];
+
+// Reactions viewers can float over the video - see LIVE_REACTIONS in server/index.js
+export const LIVE_REACTIONS = ['❤️', '👍', '😂', '😮', '👏', '🔥', '🎉'];
@@ -0,0 +1,34 @@
+import axios from 'axios';
+
+// Pending or finished identity requests, by storage key
+const identityRequests = {};
+
+const requestIdentity = async (storageKey) => {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(storageKey));
+  } catch {
+    // Unreadable; the server issues a new id
+  }
+
+  // The server keeps a saved id if its token still verifies, or issues a new one
+  const res = await axios.post(`${import.meta.env.VITE_API_URL}/api/identity`, {
+    userId: saved?.userId,
+    token: saved?.token
+  });
+  localStorage.setItem(storageKey, JSON.stringify(res.data));
+  return res.data;
+};
+
+// The `{ userId, token }` this browser uses, saved under `storageKey`. The
+// studio and the viewer page keep separate ones so a host can watch their own
+// stream. Sockets register with both, and host-only requests send the token.
+export const getIdentity = (storageKey) => {
+  if (!identityRequests[storageKey]) {
+    identityRequests[storageKey] = requestIdentity(storageKey).catch(error => {
+      delete identityRequests[storageKey];
+      throw error;
+    });
+  }
+  return identityRequests[storageKey];
+};
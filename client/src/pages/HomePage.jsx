@@ -1,10 +1,47 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
+import { formatDistanceToNow } from 'date-fns';
+import { formatDuration } from '../lib/format';
+
+// How often to refetch live thumbnails; the server snapshots every 10s by default
+const THUMBNAIL_REFRESH_MS = 10000;
+
+// Live snapshot of a stream; falls back to a placeholder until the first one exists
+const StreamThumbnail = ({ streamId, refreshKey }) => {
+  const [failed, setFailed] = useState(false);
+
+  // A later refresh may find a snapshot that wasn't ready yet
+  useEffect(() => {
+    setFailed(false);
+  }, [refreshKey]);
+
+  return (
+    <div className="relative aspect-video bg-gray-900">
+      {!failed ? (
+        <img
+          src={`${import.meta.env.VITE_API_URL}/api/streams/${streamId}/thumbnail?t=${refreshKey}`}
+          alt=""
+          className="w-full h-full object-cover"
+          onError={() => setFailed(true)}
+        />
+      ) : (
+        <div className="w-full h-full flex items-center justify-center text-gray-500">
+          Preview loading...
+        </div>
+      )}
+      <span className="absolute top-2 left-2 bg-red-600 text-white text-xs font-bold px-2 py-1 rounded">
+        LIVE
+      </span>
+    </div>
+  );
+};
 
 const HomePage = () => {
   const [streams, setStreams] = useState([]);
+  const [recordings, setRecordings] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [thumbnailTick, setThumbnailTick] = useState(Date.now());
 
   useEffect(() => {
     const fetchStreams = async () => {
@@ -18,7 +55,23 @@ const HomePage = () => {
       }
     };
 
+    const fetchRecordings = async () => {
+      try {
+        const res = await axios.get(import.meta.env.VITE_API_URL + '/api/recordings?status=ready');
+        setRecordings(res.data);
+      } catch (error) {
+        console.error('Error fetching recordings:', error);
+      }
+    };
+
     fetchStreams();
+    fetchRecordings();
+  }, []);
+
+  // Bust the image cache so cards follow what's on air
+  useEffect(() => {
+    const interval = setInterval(() => setThumbnailTick(Date.now()), THUMBNAIL_REFRESH_MS);
+    return () => clearInterval(interval);
   }, []);
 
   if (loading) {
@@ -44,6 +97,7 @@ const HomePage = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {streams.map((stream) => (
             <div key={stream._id} className="bg-gray-800 rounded-lg overflow-hidden shadow-lg">
+              <StreamThumbnail streamId={stream._id} refreshKey={thumbnailTick} />
               <div className="p-6">
                 <h2 className="text-xl font-semibold mb-2">{stream.title}</h2>
                 <p className="text-gray-400 mb-4">Host: {stream.hostId}</p>
@@ -58,6 +112,30 @@ const HomePage = () => {
           ))}
         </div>
       )}
+      
+      {recordings.length > 0 && (
+        <>
+          <h2 className="text-2xl font-bold mt-12 mb-6">Past Broadcasts</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {recordings.map((recording) => (
+              <div key={recording._id} className="bg-gray-800 rounded-lg overflow-hidden shadow-lg">
+                <div className="p-6">
+                  <h3 className="text-xl font-semibold mb-2">{recording.title}</h3>
+                  <p className="text-gray-400 mb-4">
+                    {formatDistanceToNow(new Date(recording.startedAt), { addSuffix: true })} · {formatDuration(recording.duration)}
+                  </p>
+                  <Link 
+                    to={`/vod/${recording._id}`} 
+                    className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded block text-center"
+                  >
+                    Watch Replay
+                  </Link>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
     </div>
   );
 };
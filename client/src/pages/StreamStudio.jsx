@@ -1,32 +1,44 @@
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
-import { v4 as uuidv4 } from 'uuid';
 import io from 'socket.io-client';
 import Peer from 'simple-peer';
 import ChatPanel from '../components/ChatPanel';
+import LiveReactions from '../components/LiveReactions';
 import RtmpControls from '../components/RtmpControls';
+import EncoderSettings from '../components/EncoderSettings';
+import ChatFilterSettings from '../components/ChatFilterSettings';
+import ReportQueue from '../components/ReportQueue';
+import PollCreator from '../components/PollCreator';
+import ChatExport from '../components/ChatExport';
+import { SFU_PEER_ID } from '../lib/constants';
+import { getIdentity } from '../lib/identity';
 
 const StreamStudio = () => {
   const [title, setTitle] = useState('');
   const [isStreaming, setIsStreaming] = useState(false);
   const [stream, setStream] = useState(null);
   const [streamData, setStreamData] = useState(null);
-  const [peers, setPeers] = useState([]);
   const [viewerCount, setViewerCount] = useState(0);
   const [cameraReady, setCameraReady] = useState(false);
   const [videoError, setVideoError] = useState(null);
+  // Publish from OBS or another RTMP encoder instead of the browser camera
+  const [useEncoder, setUseEncoder] = useState(false);
+  const [recordStream, setRecordStream] = useState(false);
   
   const videoRef = useRef();
   const socketRef = useRef();
   const peersRef = useRef([]);
+  const recorderRef = useRef(null);
   const navigate = useNavigate();
   
   // Create refs to keep track of latest state values
   const streamRef = useRef(null);
   const streamDataRef = useRef(null);
   
-  const hostId = localStorage.getItem('userId') || uuidv4();
+  // Server-issued id and token the host acts as
+  const [identity, setIdentity] = useState(null);
+  const hostId = identity?.userId;
   
   // Update refs when state changes
   useEffect(() => {
@@ -37,12 +49,11 @@ const StreamStudio = () => {
     streamDataRef.current = streamData;
   }, [streamData]);
   
-  // Save the user ID to localStorage if it doesn't exist
   useEffect(() => {
-    if (!localStorage.getItem('userId')) {
-      localStorage.setItem('userId', hostId);
-    }
-  }, [hostId]);
+    getIdentity('hostIdentity')
+      .then(setIdentity)
+      .catch(err => console.error('Error loading identity:', err));
+  }, []);
   
   // Get camera on component mount
   useEffect(() => {
@@ -239,12 +250,17 @@ const StreamStudio = () => {
       document.head.appendChild(style);
       
       // Get the stream
-      const mediaStream = await getVideoStream();
+      if (!useEncoder) {
+        await getVideoStream();
+      }
       
       // Create a stream in the database
       const response = await axios.post(import.meta.env.VITE_API_URL + '/api/streams', {
         title,
-        hostId
+        hostId,
+        token: identity.token,
+        source: useEncoder ? 'rtmp' : 'browser',
+        record: recordStream
       });
       
       // Update state with stream data
@@ -266,25 +282,33 @@ const StreamStudio = () => {
         socketRef.current = io(import.meta.env.VITE_API_URL);
         
         // Register user ID with socket
-        socketRef.current.emit('register-user', { userId: hostId });
+        socketRef.current.emit('register-user', { userId: hostId, token: identity.token });
         
         // Join the room
         socketRef.current.emit('join-room', response.data.roomId, hostId);
         
-        // Handle new viewer connections
-        socketRef.current.on('user-connected', (userId) => {
-          console.log('New viewer connected:', userId);
-          setViewerCount(prev => prev + 1);
+        // Publish media to the server once it accepts us as the host
+        socketRef.current.on('ingest-started', ({ roomId }) => {
+          startMediaIngest(roomId);
+        });
+        
+        socketRef.current.on('ingest-error', ({ message }) => {
+          console.error('Media ingest error:', message);
+        });
+        
+        // Encoder streams are ingested by the RTMP server instead
+        if (response.data.source !== 'rtmp') {
+          socketRef.current.emit('start-ingest', { roomId: response.data.roomId, userId: hostId });
+        }
+        
+        // Publish a single WebRTC stream to the SFU, which forwards it to viewers
+        socketRef.current.on('publisher-ready', () => {
+          if (response.data.source === 'rtmp') return;
           
           // Use the refs to access the latest values
           if (streamRef.current && streamDataRef.current) {
-            const peer = createPeer(userId, hostId, streamRef.current);
-            peersRef.current.push({
-              peerId: userId,
-              peer,
-            });
-            
-            setPeers(prevPeers => [...prevPeers, { peerId: userId, peer }]);
+            const peer = createPeer(SFU_PEER_ID, hostId, streamRef.current);
+            peersRef.current = [{ peerId: SFU_PEER_ID, peer }];
           } else {
             console.error('Cannot create peer: stream or streamData is not available');
             console.log('Stream available:', !!streamRef.current);
@@ -292,7 +316,13 @@ const StreamStudio = () => {
           }
         });
         
-        // Handle signals from viewers
+        // Handle new viewer connections
+        socketRef.current.on('user-connected', (userId) => {
+          console.log('New viewer connected:', userId);
+          setViewerCount(prev => prev + 1);
+        });
+        
+        // Handle signals from the SFU
         socketRef.current.on('user-signal', ({ userId, signal }) => {
           const item = peersRef.current.find(p => p.peerId === userId);
           if (item) {
@@ -304,14 +334,6 @@ const StreamStudio = () => {
         socketRef.current.on('user-disconnected', (userId) => {
           console.log('Viewer disconnected:', userId);
           setViewerCount(prev => Math.max(0, prev - 1));
-          
-          const peerObj = peersRef.current.find(p => p.peerId === userId);
-          if (peerObj) {
-            peerObj.peer.destroy();
-          }
-          
-          peersRef.current = peersRef.current.filter(p => p.peerId !== userId);
-          setPeers(prevPeers => prevPeers.filter(p => p.peerId !== userId));
         });
       }, 500);
       
@@ -327,8 +349,54 @@ const StreamStudio = () => {
     }
   };
 
+  // Push the camera stream to the server in WebM slices for restreaming
+  const startMediaIngest = (roomId) => {
+    if (!streamRef.current || recorderRef.current) return;
+    
+    const mimeType = [
+      'video/webm;codecs=vp8,opus',
+      'video/webm;codecs=vp9,opus',
+      'video/webm'
+    ].find(type => MediaRecorder.isTypeSupported(type));
+    
+    try {
+      const recorder = new MediaRecorder(streamRef.current, {
+        mimeType,
+        videoBitsPerSecond: 2500000
+      });
+      
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0 && socketRef.current) {
+          socketRef.current.emit('ingest-chunk', { roomId, chunk: event.data });
+        }
+      };
+      
+      recorder.onerror = (event) => {
+        console.error('MediaRecorder error:', event.error);
+      };
+      
+      // Emit a chunk every second so the server pipeline stays close to live
+      recorder.start(1000);
+      recorderRef.current = recorder;
+      console.log('Media ingest started with', mimeType);
+    } catch (err) {
+      console.error('Could not start media ingest:', err);
+    }
+  };
+  
+  const stopMediaIngest = () => {
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+      recorderRef.current.stop();
+    }
+    recorderRef.current = null;
+    
+    if (socketRef.current && streamDataRef.current) {
+      socketRef.current.emit('stop-ingest', { roomId: streamDataRef.current.roomId });
+    }
+  };
+
   // The rest of your code remains the same
-  const createPeer = (viewerId, hostId, stream) => {
+  const createPeer = (targetId, hostId, stream) => {
     const peer = new Peer({
       initiator: true,
       trickle: false,
@@ -343,11 +411,11 @@ const StreamStudio = () => {
 
     peer.on('signal', signal => {
       if (socketRef.current && streamDataRef.current && streamDataRef.current.roomId) {
-        console.log('Host sending signal to viewer', viewerId);
+        console.log('Host sending signal to', targetId);
         socketRef.current.emit('signal', { 
           userId: hostId, 
           roomId: streamDataRef.current.roomId,
-          targetUserId: viewerId,
+          targetUserId: targetId,
           signal 
         });
       } else {
@@ -366,9 +434,13 @@ const StreamStudio = () => {
   const stopStream = async () => {
     try {
       if (streamDataRef.current && streamDataRef.current._id) {
-        await axios.patch(`${import.meta.env.VITE_API_URL}/api/streams/${streamDataRef.current._id}/end`);
+        await axios.patch(`${import.meta.env.VITE_API_URL}/api/streams/${streamDataRef.current._id}/end`, null, {
+          headers: { 'X-Identity-Token': identity.token }
+        });
       }
       
+      stopMediaIngest();
+      
       // Stop all tracks in the stream
       if (streamRef.current) {
         streamRef.current.getTracks().forEach(track => track.stop());
@@ -382,13 +454,13 @@ const StreamStudio = () => {
       peersRef.current.forEach(({ peer }) => {
         peer.destroy();
       });
+      peersRef.current = [];
       
       setIsStreaming(false);
       setStream(null);
       streamRef.current = null;
       setStreamData(null);
       streamDataRef.current = null;
-      setPeers([]);
       setViewerCount(0);
       setCameraReady(false);
       navigate('/');
@@ -460,9 +532,27 @@ const StreamStudio = () => {
             )}
           </div>
           
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={useEncoder}
+              onChange={(e) => setUseEncoder(e.target.checked)}
+            />
+            Stream from OBS or another RTMP encoder
+          </label>
+          
+          <label className="flex items-center gap-2 text-sm text-gray-300 mt-2">
+            <input
+              type="checkbox"
+              checked={recordStream}
+              onChange={(e) => setRecordStream(e.target.checked)}
+            />
+            Record this stream for replay
+          </label>
+          
           <div className="mt-4 flex justify-between">
             <div>
-              {cameraReady && (
+              {cameraReady && !useEncoder && (
                 <span className="text-green-400 text-sm flex items-center">
                   <span className="w-2 h-2 bg-green-400 rounded-full mr-2"></span>
                   Camera ready
@@ -473,7 +563,7 @@ const StreamStudio = () => {
             <button
               onClick={startStream}
               className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg"
-              disabled={!cameraReady || !title.trim()}
+              disabled={(!cameraReady && !useEncoder) || !title.trim() || !identity}
             >
               Start Streaming
             </button>
@@ -505,7 +595,11 @@ const StreamStudio = () => {
                   }}
                 />
                 
-                {!cameraReady && (
+                {streamData?.source === 'rtmp' ? (
+                  <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70">
+                    <p className="text-gray-300">Publishing from your encoder</p>
+                  </div>
+                ) : !cameraReady && (
                   <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70">
                     <div className="text-center">
                       <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-white mb-2"></div>
@@ -513,17 +607,60 @@ const StreamStudio = () => {
                     </div>
                   </div>
                 )}
+                
+                <LiveReactions socket={socketRef.current} roomId={streamData?.roomId} />
               </div>
               
+              {streamData?.source === 'rtmp' && (
+                <div className="mt-4">
+                  <EncoderSettings ingestKey={streamData.ingestKey} />
+                </div>
+              )}
+              
               <div className="mt-4">
                 <RtmpControls 
                   socket={socketRef.current}
                   roomId={streamData?.roomId}
                   userId={hostId}
+                  token={identity?.token}
+                  isHost={true}
+                />
+              </div>
+              
+              <div className="mt-4">
+                <ChatFilterSettings
+                  socket={socketRef.current}
+                  roomId={streamData?.roomId}
+                  userId={hostId}
+                />
+              </div>
+              
+              <div className="mt-4">
+                <PollCreator
+                  socket={socketRef.current}
+                  roomId={streamData?.roomId}
+                  userId={hostId}
+                />
+              </div>
+              
+              <div className="mt-4">
+                <ReportQueue
+                  socket={socketRef.current}
+                  roomId={streamData?.roomId}
+                  userId={hostId}
+                  username={`Host: ${title.split(' ')[0]}`}
                   isHost={true}
                 />
               </div>
               
+              <div className="mt-4">
+                <ChatExport
+                  streamId={streamData?._id}
+                  token={identity?.token}
+                  title={title}
+                />
+              </div>
+              
               <div className="mt-4 flex justify-end">
                 <button
                   onClick={stopStream}
@@ -0,0 +1,171 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardFooter } from "@/components/ui/card";
+import { AspectRatio } from "@/components/ui/aspect-ratio";
+import { Loader2 } from "lucide-react";
+import { formatDuration } from '../lib/format';
+import PollCard from '../components/PollCard';
+import ChatPanel from '../components/ChatPanel';
+
+// Chat replay is fetched in windows of this many seconds of video
+const REPLAY_CHUNK_SECONDS = 300;
+
+// Chat for the part of the recording around `currentTime`. Loads the current
+// window and the one before (so a seek lands in a chat with context), and the
+// next one shortly before playback reaches it.
+const useChatReplay = (recordingId, currentTime) => {
+  const [chunks, setChunks] = useState({});
+  const requestedRef = useRef(new Set());
+
+  useEffect(() => {
+    requestedRef.current = new Set();
+    setChunks({});
+  }, [recordingId]);
+
+  const chunk = Math.floor(currentTime / REPLAY_CHUNK_SECONDS);
+  const nearNext = currentTime % REPLAY_CHUNK_SECONDS > REPLAY_CHUNK_SECONDS - 30;
+
+  useEffect(() => {
+    if (!recordingId) return;
+
+    const wanted = [chunk - 1, chunk, ...(nearNext ? [chunk + 1] : [])].filter(index => index >= 0);
+    wanted.forEach(index => {
+      if (requestedRef.current.has(index)) return;
+      requestedRef.current.add(index);
+
+      axios.get(`${import.meta.env.VITE_API_URL}/api/recordings/${recordingId}/chat`, {
+        params: { from: index * REPLAY_CHUNK_SECONDS, to: (index + 1) * REPLAY_CHUNK_SECONDS }
+      })
+        .then(response => setChunks(prev => ({ ...prev, [index]: response.data.messages })))
+        .catch(err => {
+          console.error('Error fetching chat replay:', err);
+          requestedRef.current.delete(index);
+        });
+    });
+  }, [recordingId, chunk, nearNext]);
+
+  return Object.keys(chunks)
+    .sort((a, b) => a - b)
+    .flatMap(index => chunks[index]);
+};
+
+const ViewRecording = () => {
+  const [recording, setRecording] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Polls run during the broadcast, with their final results
+  const [polls, setPolls] = useState([]);
+  // Playback position, which drives the chat replay
+  const [currentTime, setCurrentTime] = useState(0);
+
+  const { recordingId } = useParams();
+  const navigate = useNavigate();
+  const replayMessages = useChatReplay(recording?.status === 'ready' ? recordingId : null, currentTime);
+
+  // API URL from environment variables
+  const API_URL = import.meta.env.VITE_API_URL;
+
+  useEffect(() => {
+    const fetchRecording = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/recordings/${recordingId}`);
+        if (response.data.status !== 'ready') {
+          setError(response.data.status === 'recording'
+            ? 'This stream is still being recorded'
+            : 'This recording is not available');
+        }
+        setRecording(response.data);
+      } catch (err) {
+        console.error('Error fetching recording:', err);
+        setError('Recording not found');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRecording();
+  }, [recordingId, API_URL]);
+
+  useEffect(() => {
+    if (!recording?.streamId) return;
+
+    axios.get(`${API_URL}/api/streams/${recording.streamId}/polls`)
+      .then(response => setPolls(response.data))
+      .catch(err => console.error('Error fetching polls:', err));
+  }, [recording?.streamId, API_URL]);
+
+  return (
+    <div className="container max-w-6xl mx-auto p-4 space-y-4">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold">{recording?.title || 'Recording'}</h1>
+        <Button variant="outline" onClick={() => navigate('/')}>
+          Back to Home
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="md:col-span-2 space-y-4">
+          <Card>
+            <CardContent className="p-0">
+              <AspectRatio ratio={16/9} className="bg-black relative">
+                {recording && !error && (
+                  <video
+                    src={`${API_URL}/api/recordings/${recordingId}/video`}
+                    controls
+                    playsInline
+                    className="w-full h-full object-contain"
+                    onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+                    onSeeked={(e) => setCurrentTime(e.currentTarget.currentTime)}
+                  />
+                )}
+
+                {loading && (
+                  <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70">
+                    <Loader2 className="h-10 w-10 animate-spin" />
+                  </div>
+                )}
+
+                {error && (
+                  <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70">
+                    <p className="text-xl">{error}</p>
+                  </div>
+                )}
+              </AspectRatio>
+            </CardContent>
+
+            {recording && (
+              <CardFooter className="flex flex-col items-start p-4">
+                <h2 className="text-xl font-semibold">{recording.title}</h2>
+                <p className="text-muted-foreground text-sm">
+                  Streamed {format(new Date(recording.startedAt), 'PPp')} · {formatDuration(recording.duration)}
+                </p>
+              </CardFooter>
+            )}
+          </Card>
+
+          {polls.length > 0 && (
+            <Card>
+              <CardContent className="p-4 space-y-3">
+                <h2 className="text-lg font-semibold">Polls</h2>
+                {polls.map(poll => (
+                  <PollCard key={poll.id} poll={poll} />
+                ))}
+              </CardContent>
+            </Card>
+          )}
+        </div>
+
+        {recording?.status === 'ready' && (
+          <div>
+            <ChatPanel replay={{ messages: replayMessages, currentTime }} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ViewRecording;
@@ -2,7 +2,6 @@ import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import io from 'socket.io-client';
 import Peer from 'simple-peer';
-import { v4 as uuidv4 } from 'uuid';
 import axios from 'axios';
 // Import Shadcn UI components
 import { Button } from "@/components/ui/button";
@@ -12,7 +11,12 @@ import { Separator } from "@/components/ui/separator";
 import { AspectRatio } from "@/components/ui/aspect-ratio";
 import { Loader2 } from "lucide-react";
 import ChatPanel from '../components/ChatPanel';
+import LiveReactions from '../components/LiveReactions';
+import HlsPlayer from '../components/HlsPlayer';
 import RtmpControls from '../components/RtmpControls';
+import ReportQueue from '../components/ReportQueue';
+import { SFU_PEER_ID } from '../lib/constants';
+import { getIdentity } from '../lib/identity';
 
 const ViewStream = () => {
   const [hostStream, setHostStream] = useState(null);
@@ -21,6 +25,9 @@ const ViewStream = () => {
   const [connectionError, setConnectionError] = useState(null);
   const [streamInfo, setStreamInfo] = useState(null);
   const [hostId, setHostId] = useState(null);
+  // Set when the viewer is watching the server's HLS output instead of WebRTC
+  const [hlsUrl, setHlsUrl] = useState(null);
+  const [hlsRendition, setHlsRendition] = useState(null);
   
   const { roomId } = useParams();
   const navigate = useNavigate();
@@ -30,18 +37,20 @@ const ViewStream = () => {
   const videoRef = useRef();
   const connectionAttemptedRef = useRef(false);
   
-  // Generate or retrieve viewer ID
-  const viewerId = localStorage.getItem('viewerId') || uuidv4();
+  // Server-issued viewer id and the token that proves it
+  const [identity, setIdentity] = useState(null);
+  const viewerId = identity?.userId;
+  const viewerToken = identity?.token;
+  const viewerName = viewerId ? `Viewer_${viewerId.substring(0, 4)}` : 'Viewer';
   
   // API URL from environment variables
   const API_URL = import.meta.env.VITE_API_URL;
   
-  // Save the user ID to localStorage if it doesn't exist
   useEffect(() => {
-    if (!localStorage.getItem('viewerId')) {
-      localStorage.setItem('viewerId', viewerId);
-    }
-  }, [viewerId]);
+    getIdentity('viewerIdentity')
+      .then(setIdentity)
+      .catch(err => console.error('Error loading identity:', err));
+  }, []);
 
   // Fetch stream info from API
   useEffect(() => {
@@ -69,20 +78,37 @@ const ViewStream = () => {
 
   // Set up WebRTC connection
   useEffect(() => {
-    // Only proceed if we have the host ID and haven't attempted connection
-    if (!hostId || connectionAttemptedRef.current) return;
+    // Only proceed if we have the host ID and our own, and haven't attempted connection
+    if (!hostId || !viewerId || connectionAttemptedRef.current) return;
     
     // Mark that we've attempted connection to avoid loops
     connectionAttemptedRef.current = true;
     
     console.log("Setting up connection with host ID:", hostId);
     
-    // Connection timeout - if not connected within 15 seconds, show error
+    let usingHls = false;
+    
+    // Switch to the server's HLS output when WebRTC can't be used
+    const fallBackToHls = (reason, url = `/api/streams/${roomId}/hls/master.m3u8`) => {
+      if (usingHls) return;
+      usingHls = true;
+      console.log('Falling back to HLS:', reason);
+      
+      clearTimeout(connectionTimeout);
+      if (peerRef.current && !peerRef.current.destroyed) {
+        peerRef.current.destroy();
+      }
+      
+      setConnectionError(null);
+      setConnecting(true);
+      setHlsUrl(url);
+    };
+    
+    // Connection timeout - if WebRTC isn't up within 15 seconds, try HLS
     const connectionTimeout = setTimeout(() => {
       if (!connected) {
         console.log("Connection timeout");
-        setConnectionError("Could not connect to stream. The host may be offline.");
-        setConnecting(false);
+        fallBackToHls('timeout');
       }
     }, 15000);
 
@@ -93,7 +119,24 @@ const ViewStream = () => {
       
       // Register viewer ID with socket
       console.log("Registering viewer ID:", viewerId);
-      socketRef.current.emit('register-user', { userId: viewerId });
+      socketRef.current.emit('register-user', { userId: viewerId, token: viewerToken });
+      
+      // The server sends us to HLS when the room is full or has no WebRTC source
+      socketRef.current.on('stream-fallback', ({ reason, hlsUrl }) => {
+        fallBackToHls(reason, hlsUrl);
+      });
+      
+      // Banned viewers are turned away before any media is set up
+      socketRef.current.on('room-banned', () => {
+        clearTimeout(connectionTimeout);
+        usingHls = true;
+        if (peerRef.current && !peerRef.current.destroyed) {
+          peerRef.current.destroy();
+        }
+        setHlsUrl(null);
+        setConnecting(false);
+        setConnectionError('You have been banned from this channel');
+      });
       
       // Join the room as a viewer
       console.log("Joining room:", roomId);
@@ -114,30 +157,30 @@ const ViewStream = () => {
       
       peerRef.current = peer;
       
-      // Listen for signals from host
+      // The host's media is forwarded to us by the server-side SFU
       console.log("Setting up signal listener");
       socketRef.current.on('user-signal', ({ userId, signal }) => {
         console.log('Received signal from user:', userId);
-        if (userId === hostId && peerRef.current && !peerRef.current.destroyed) {
-          console.log('Processing signal from host');
+        if (userId === SFU_PEER_ID && peerRef.current && !peerRef.current.destroyed) {
+          console.log('Processing signal from SFU');
           try {
             peerRef.current.signal(signal);
           } catch (err) {
             console.error('Error processing signal:', err);
           }
         } else {
-          console.log('Ignoring signal from non-host user or destroyed peer');
+          console.log('Ignoring signal from non-SFU user or destroyed peer');
         }
       });
       
-      // Send signals to host
+      // Send signals back to the SFU
       peer.on('signal', signal => {
-        console.log('Generated signal for host, sending to:', hostId);
+        console.log('Generated signal for SFU');
         if (socketRef.current) {
           socketRef.current.emit('signal', { 
             userId: viewerId, 
             roomId, 
-            targetUserId: hostId, 
+            targetUserId: SFU_PEER_ID, 
             signal 
           });
         }
@@ -198,12 +241,12 @@ const ViewStream = () => {
       // Handle connection errors
       peer.on('error', err => {
         console.error('Peer connection error:', err);
-        setConnectionError(`Connection error: ${err.message}`);
-        setConnecting(false);
+        fallBackToHls(err.message);
       });
       
       // Handle connection close
       peer.on('close', () => {
+        if (usingHls) return;
         console.log('Peer connection closed');
         setConnectionError('The stream has ended');
         setConnected(false);
@@ -242,12 +285,13 @@ const ViewStream = () => {
       setConnecting(false);
       clearTimeout(connectionTimeout);
     }
-  }, [roomId, viewerId, hostId, API_URL]); // Added API_URL to dependencies
+  }, [roomId, viewerId, viewerToken, hostId, API_URL]); // Added API_URL to dependencies
   
   // Function to retry connection
   const retryConnection = () => {
     setConnecting(true);
     setConnectionError(null);
+    setHlsUrl(null);
     connectionAttemptedRef.current = false;
     
     // Clean up any existing connections
@@ -279,6 +323,18 @@ const ViewStream = () => {
       });
   };
 
+  const handleHlsReady = () => {
+    setConnected(true);
+    setConnecting(false);
+  };
+  
+  const handleHlsError = (err) => {
+    console.error('HLS playback failed:', err);
+    setConnectionError("Could not connect to stream. The host may be offline.");
+    setConnected(false);
+    setConnecting(false);
+  };
+
   return (
     <div className="container max-w-4xl mx-auto p-4 space-y-4">
       <div className="flex justify-between items-center">
@@ -293,14 +349,24 @@ const ViewStream = () => {
           <Card>
             <CardContent className="p-0">
               <AspectRatio ratio={16/9} className="bg-black relative">
-                {/* Main video element */}
-                <video 
-                  ref={videoRef} 
-                  autoPlay 
-                  playsInline
-                  controls  
-                  className="w-full h-full object-contain"
-                />
+                {/* Main video element - HLS when WebRTC isn't available */}
+                {hlsUrl ? (
+                  <HlsPlayer
+                    src={`${API_URL}${hlsUrl}`}
+                    className="w-full h-full object-contain"
+                    onReady={handleHlsReady}
+                    onFatalError={handleHlsError}
+                    onRenditionChange={setHlsRendition}
+                  />
+                ) : (
+                  <video 
+                    ref={videoRef} 
+                    autoPlay 
+                    playsInline
+                    controls  
+                    className="w-full h-full object-contain"
+                  />
+                )}
                 
                 {/* Connection status overlays */}
                 {connecting && (
@@ -324,6 +390,10 @@ const ViewStream = () => {
                   </div>
                 )}
                 
+                {connected && (
+                  <LiveReactions socket={socketRef.current} roomId={roomId} showControls />
+                )}
+                
                 {/* RTMP status indicator for viewers */}
                 {connected && (
                   <div className="absolute top-4 right-4">
@@ -331,6 +401,7 @@ const ViewStream = () => {
                       socket={socketRef.current}
                       roomId={roomId}
                       userId={viewerId}
+                      token={viewerToken}
                       isHost={false}
                     />
                   </div>
@@ -351,14 +422,21 @@ const ViewStream = () => {
         </div>
         
         {/* Add chat panel */}
-        <div>
+        <div className="space-y-4">
           <ChatPanel 
             socket={socketRef.current}
             roomId={roomId}
             userId={viewerId}
-            username={`Viewer_${viewerId.substring(0, 4)}`}
+            username={viewerName}
             isHost={false}
           />
+          {/* Only shows up for moderators */}
+          <ReportQueue
+            socket={socketRef.current}
+            roomId={roomId}
+            userId={viewerId}
+            username={viewerName}
+          />
         </div>
       </div>
       
@@ -373,6 +451,7 @@ const ViewStream = () => {
           <p>Host ID: {hostId || 'Unknown'}</p>
           <p>Connected: {connected ? 'Yes' : 'No'}</p>
           <p>Connection Attempted: {connectionAttemptedRef.current ? 'Yes' : 'No'}</p>
+          <p>Playback: {hlsUrl ? `HLS (${hlsRendition || 'auto'})` : 'WebRTC'}</p>
           <p>Host Stream: {hostStream ? 'Received' : 'Not received'}</p>
           <p>Video Tracks: {hostStream ? hostStream.getVideoTracks().length : 0}</p>
           <p>Audio Tracks: {hostStream ? hostStream.getAudioTracks().length : 0}</p>
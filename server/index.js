@@ -6,15 +6,52 @@ const socketIo = require('socket.io');
 const dotenv = require('dotenv');
 const Stream = require('./models/Stream');
 const RtmpDestination = require('./models/RtmpDestination');
-const { spawn } = require('child_process');
+const Recording = require('./models/Recording');
+const ChatMessage = require('./models/ChatMessage');
+const ChatRestriction = require('./models/ChatRestriction');
+const ChannelModerator = require('./models/ChannelModerator');
+const ChatUser = require('./models/ChatUser');
+const BlockedTerm = require('./models/BlockedTerm');
+const MessageReport = require('./models/MessageReport');
+const PinnedMessage = require('./models/PinnedMessage');
+const Poll = require('./models/Poll');
+const PollVote = require('./models/PollVote');
+const Question = require('./models/Question');
 const fs = require('fs');
-const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const path = require('path');
+const {
+  ingestEvents,
+  startIngest,
+  pushIngestChunk,
+  stopIngest,
+  isIngesting,
+  attachIngestConsumer
+} = require('./src/mediaIngest');
+const {
+  SFU_PEER_ID,
+  registerPublisher,
+  addSubscriber,
+  removeSubscriber,
+  handleSfuSignal,
+  closeRoom,
+  getSubscriberCount
+} = require('./src/sfu');
+const { HLS_DIR, RECORDINGS_DIR, THUMBNAILS_DIR } = require('./src/mediaPaths');
+const { MASTER_PLAYLIST, buildHlsLadderArgs } = require('./src/hlsLadder');
+const { ENCODING_PRESETS, sanitizeProfile, resolveEncodingProfile, buildEncodingArgs } = require('./src/encodingPresets');
+const { superviseFfmpeg, stopAllFfmpegJobs } = require('./src/ffmpegSupervisor');
+const { bindSocketIdentity } = require('./src/identity');
+const { sanitizeChatModes, checkChatModes } = require('./src/chatModes');
+const { validateTerm, compileFilter, applyWordFilter } = require('./src/wordFilter');
+const { findMentions, toReplyPreview } = require('./src/chatMentions');
 
 dotenv.config();
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
+  // MediaRecorder chunks from the host can be several hundred KB each
+  maxHttpBufferSize: 5e6,
   cors: {
     origin: '*',
     methods: ['GET', 'POST']
@@ -31,24 +68,149 @@ app.use('/api/streams', require('./routes/streams'));
 // Add RTMP routes
 app.use('/api/rtmp', require('./routes/rtmp'));
 
+// Ids and tokens that sockets and host-only requests identify with
+app.use('/api/identity', require('./routes/identity'));
+
+// Recorded sessions (VOD library)
+app.use('/api/recordings', require('./routes/recordings'));
+
+// Start the RTMP ingest server so encoders like OBS can publish
+require('./src/rtmpServer');
+
 // MongoDB Connection
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/streamingApp')
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    // Restream jobs don't survive a restart, so nothing is live yet
+    return RtmpDestination.updateMany({ active: true }, { active: false });
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
-// In-memory storage for chat messages and muted users
-const chatMessages = {};
-const mutedUsers = {};
+// Timeout lengths (seconds) when a moderator doesn't pick one, and the cap
+const DEFAULT_TIMEOUT_SECONDS = 600;
+const MAX_TIMEOUT_SECONDS = 7 * 24 * 60 * 60;
+
+// Messages sent with 'get-chat-history'; older ones come from the chat API
+const CHAT_HISTORY_LIMIT = 50;
+
+// Different reactions a single message can collect
+const MAX_REACTION_TYPES = 20;
+
+// Reactions are stored as map keys, which can't contain dots or start with $
+const isValidReaction = (reaction) => (
+  typeof reaction === 'string' &&
+  reaction.length > 0 &&
+  reaction.length <= 16 &&
+  !reaction.includes('.') &&
+  !reaction.startsWith('$')
+);
+
+// When each user last chatted, keyed by roomId then userId, for slow mode
+const lastChatMessages = {};
+
+// Longest chat message we take. Longer ones are turned away before the word
+// filter or mention lookup ever see them.
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+
+// Longest a pin or announcement can be set to expire after (seconds)
+const MAX_PIN_SECONDS = 24 * 60 * 60;
+
+// Timers that announce a poll's final results when it runs out, by poll id
+const pollTimers = new Map();
+// Polls with a results update queued, so vote bursts go out once a second
+const pendingPollUpdates = new Map();
+const POLL_UPDATE_INTERVAL = 1000;
+
+// Reactions viewers can float over the video - see client/src/lib/constants.js
+const LIVE_REACTIONS = ['❤️', '👍', '😂', '😮', '👏', '🔥', '🎉'];
+
+// Live reaction taps are counted per room and sent out together every
+// LIVE_REACTION_INTERVAL ms, so busy rooms get one event instead of one per tap
+const LIVE_REACTION_INTERVAL = 500;
+
+// Taps each socket may send per second; the rest are dropped
+const LIVE_REACTION_RATE = 10;
 
-// In-memory storage for active FFmpeg processes
+// Pending live reaction counts by roomId, each an emoji -> count map
+const pendingLiveReactions = new Map();
+
+// Questions sent per 'get-questions' request
+const QUESTION_LIST_LIMIT = 200;
+
+// Reports sent per 'get-reports' request
+const REPORT_QUEUE_LIMIT = 100;
+
+// Compiled chat filters keyed by channelId, dropped whenever the list changes
+const chatFilters = new Map();
+
+// Supervised restream jobs, keyed by roomId then platform
 const ffmpegProcesses = {};
 
+// HLS ladder transcoding jobs, one per live room
+const hlsProcesses = {};
+
+// Session recording jobs, one per recorded room
+const recordingProcesses = {};
+
+// Thumbnail snapshot jobs, one per live room
+const thumbnailProcesses = {};
+
+// Seconds between thumbnail snapshots of a live room
+const THUMBNAIL_INTERVAL = parseInt(process.env.THUMBNAIL_INTERVAL, 10) || 10;
+
+// Past this many WebRTC viewers a room's extra viewers are sent to HLS
+const SFU_MAX_SUBSCRIBERS = parseInt(process.env.SFU_MAX_SUBSCRIBERS, 10) || 50;
+
+// Package every room as HLS (and record it if the host asked to) while
+// media is being ingested
+ingestEvents.on('start', (roomId) => {
+  startHlsPackaging(roomId);
+  startRecording(roomId);
+  startThumbnails(roomId);
+});
+ingestEvents.on('stop', (roomId) => {
+  stopHlsPackaging(roomId);
+  stopRecording(roomId);
+  stopThumbnails(roomId);
+  delete lastChatMessages[roomId];
+});
+
 // Socket.io logic for handling WebRTC signaling
 io.on('connection', (socket) => {
   console.log(`User connected: ${socket.id}`);
 
   // Join a room
-  socket.on('join-room', (roomId, userId) => {
+  socket.on('join-room', async (roomId, userId) => {
+    // Sockets have to register their signed id first
+    await socket.registration;
+    if (!socket.userId) {
+      socket.emit('auth-error', { message: 'Register before joining a room' });
+      return;
+    }
+    if (socket.userId !== userId) {
+      socket.emit('auth-error', { message: 'This connection is registered as another user' });
+      return;
+    }
+
+    // Banned users can't watch or chat; timed-out users join read-only
+    try {
+      const restriction = await getChatRestriction(roomId, userId);
+      if (restriction?.type === 'ban') {
+        console.log(`Rejected banned user ${userId} from room ${roomId}`);
+        socket.emit('room-banned', { roomId, reason: restriction.reason });
+        return;
+      }
+      if (restriction) {
+        socket.emit('chat-restricted', toRestrictionPayload(restriction));
+      }
+    } catch (error) {
+      console.error('Error checking chat restrictions:', error);
+    }
+
+    // Remember when we first saw this id, for the account age chat mode
+    ChatUser.updateOne({ userId }, { $setOnInsert: { firstSeenAt: new Date() } }, { upsert: true })
+      .catch(error => console.error('Error recording chat user:', error));
+
     socket.join(roomId);
     console.log(`User ${userId} joined room ${roomId}`);
     
@@ -60,10 +222,45 @@ io.on('connection', (socket) => {
       console.log(`User ${userId} disconnected`);
       socket.to(roomId).emit('user-disconnected', userId);
     });
+
+    // Media goes through the SFU: the host publishes once, viewers subscribe
+    try {
+      const stream = await Stream.findOne({ roomId, active: true });
+      if (!stream) return;
+
+      if (stream.hostId === userId) {
+        registerPublisher(socket, roomId, userId);
+        socket.on('disconnect', () => closeRoom(roomId));
+        socket.emit('publisher-ready', { roomId });
+      } else if (stream.source === 'rtmp' || getSubscriberCount(roomId) >= SFU_MAX_SUBSCRIBERS) {
+        // Encoder streams have no WebRTC publisher, and full rooms can't take
+        // another peer - both are watched through the HLS output instead
+        socket.emit('stream-fallback', {
+          reason: stream.source === 'rtmp' ? 'no-webrtc' : 'capacity',
+          hlsUrl: `/api/streams/${roomId}/hls/${MASTER_PLAYLIST}`
+        });
+      } else {
+        addSubscriber(socket, roomId, userId);
+        socket.on('disconnect', () => removeSubscriber(roomId, userId, socket));
+      }
+    } catch (error) {
+      console.error('Error joining SFU room:', error);
+    }
   });
 
-  // Signal handling for WebRTC - FIX HERE
-  socket.on('signal', ({ userId, roomId, signal, targetUserId }) => {
+  // Signal handling for WebRTC
+  socket.on('signal', async ({ roomId, signal, targetUserId }) => {
+    // Signals for the server-side SFU never reach another browser
+    if (targetUserId === SFU_PEER_ID) {
+      handleSfuSignal(roomId, socket, signal);
+      return;
+    }
+    
+    // Peers are told who a signal is from by the id this socket registered,
+    // never by the payload, so no one can pose as another peer
+    await socket.registration;
+    const userId = socket.userId;
+    if (!userId) return;
     console.log(`Signal from ${userId} to ${targetUserId || 'room'} in ${roomId}`);
     
     // If targetUserId is provided, send signal directly to that user
@@ -85,10 +282,13 @@ io.on('connection', (socket) => {
     socket.to(roomId).emit('user-signal', { userId, signal });
   });
   
-  // Store userId in socket object for later retrieval
-  socket.on('register-user', ({ userId }) => {
-    socket.userId = userId;
-    console.log(`Registered socket ${socket.id} for user ${userId}`);
+  // Store userId in socket object for later retrieval. Clients send the id
+  // and token from POST /api/identity; chat and moderation act as this id.
+  socket.on('register-user', ({ userId, token } = {}) => {
+    socket.registration = bindSocketIdentity(socket, userId, token).then(bound => {
+      if (bound) console.log(`Registered socket ${socket.id} for user ${userId}`);
+      return bound;
+    });
   });
 
   // Add this to your Socket.io event handlers
@@ -108,72 +308,928 @@ io.on('connection', (socket) => {
   });
 
   // Chat messaging
-  socket.on('send-chat-message', (messageData) => {
-    // Broadcast message to everyone in the room except sender
-    socket.to(messageData.roomId).emit('chat-message', messageData);
+  socket.on('send-chat-message', async (messageData) => {
+    const text = typeof messageData?.text === 'string' ? messageData.text.trim() : '';
+    if (!messageData?.id || !messageData.roomId || !text) return;
+    if (!(await getSocketUser(socket, messageData.userId))) return;
+    if (text.length > MAX_CHAT_MESSAGE_LENGTH) {
+      socket.emit('chat-message-rejected', {
+        messageId: messageData.id,
+        mode: 'error',
+        message: `Messages can be at most ${MAX_CHAT_MESSAGE_LENGTH} characters`
+      });
+      return;
+    }
+    
+    // Take the slow-mode slot before the first await below, so a burst of
+    // messages sent together can't all pass the check. A message that doesn't
+    // go out gives the slot back.
+    const slot = claimChatSlot(messageData.roomId, messageData.userId);
+    
+    // Timed-out and banned users can't post, whatever their client shows. The
+    // stream is loaded once for these checks, the word filter and the offset.
+    let stream;
+    try {
+      stream = await Stream.findOne({ roomId: messageData.roomId }).select('roomId hostId chatModes startedAt createdAt');
+      const restriction = await getStreamRestriction(stream, messageData.userId);
+      if (restriction) {
+        releaseChatSlot(slot);
+        socket.emit('chat-message-rejected', {
+          messageId: messageData.id,
+          ...toRestrictionPayload(restriction)
+        });
+        return;
+      }
+      
+      const violation = await getChatModeViolation(stream, messageData.userId, text, slot.previous);
+      if (violation) {
+        releaseChatSlot(slot);
+        socket.emit('chat-message-rejected', { messageId: messageData.id, ...violation });
+        return;
+      }
+    } catch (error) {
+      releaseChatSlot(slot);
+      console.error('Error checking chat restrictions:', error);
+      return;
+    }
     
-    // Store chat messages in memory (optional - can be expanded to database)
-    if (!chatMessages[messageData.roomId]) {
-      chatMessages[messageData.roomId] = [];
+    // The channel's word filter runs before anyone else sees the message
+    let filtered;
+    let replyTo = null;
+    let mentions = [];
+    try {
+      filtered = await filterChatMessage(stream, text);
+      
+      // Quote the replied-to message from our copy, not the client's
+      const [parent, chatters] = await Promise.all([
+        messageData.replyTo?.messageId
+          ? ChatMessage.findOne({ messageId: messageData.replyTo.messageId, roomId: messageData.roomId, deleted: false, held: { $ne: true } })
+          : null,
+        filtered.text.includes('@') ? ChatMessage.findChatters(messageData.roomId) : []
+      ]);
+      replyTo = parent ? toReplyPreview(parent) : null;
+      mentions = findMentions(filtered.text, chatters).filter(id => id !== messageData.userId);
+    } catch (error) {
+      releaseChatSlot(slot);
+      console.error('Error preparing chat message:', error);
+      return;
+    }
+    if (filtered.action === 'drop') {
+      releaseChatSlot(slot);
+      socket.emit('chat-message-rejected', {
+        messageId: messageData.id,
+        mode: 'filter',
+        message: 'Your message was blocked by the chat filter'
+      });
+      return;
+    }
+    
+    const held = filtered.action === 'hold';
+    
+    // Persist before anyone sees it, so late joiners and reconnecting clients
+    // see the conversation and a reused message id never reaches the room
+    let saved;
+    try {
+      const sentAt = new Date();
+      const streamStart = stream && (stream.startedAt || stream.createdAt);
+      
+      saved = await ChatMessage.create({
+        messageId: messageData.id,
+        roomId: messageData.roomId,
+        userId: messageData.userId,
+        username: messageData.username,
+        text: filtered.text,
+        replyTo: replyTo || undefined,
+        mentions,
+        held,
+        offset: streamStart ? sentAt - streamStart : undefined,
+        createdAt: sentAt
+      });
+    } catch (error) {
+      releaseChatSlot(slot);
+      console.error('Error saving chat message:', error);
+      socket.emit('chat-message-rejected', {
+        messageId: messageData.id,
+        mode: 'error',
+        message: error.code === 11000 ? 'That message id is already taken' : 'Your message could not be sent'
+      });
+      return;
     }
     
-    // Keep only last 100 messages per room
-    chatMessages[messageData.roomId].push(messageData);
-    if (chatMessages[messageData.roomId].length > 100) {
-      chatMessages[messageData.roomId].shift();
+    // The sender swaps their optimistic copy for ours: the filtered text, the
+    // quoted message and mentions as we resolved them, and the cursor
+    const payload = saved.toChatPayload();
+    socket.emit('chat-message-saved', payload);
+    
+    if (held) {
+      socket.emit('chat-message-held', { messageId: messageData.id });
+      await emitToModerators(messageData.roomId, 'message-held', payload)
+        .catch(error => console.error('Error sending held message to moderators:', error));
+    } else {
+      // Broadcast our saved copy to everyone in the room except sender, so
+      // only known fields reach other clients
+      socket.to(messageData.roomId).emit('chat-message', payload);
     }
   });
 
-  // Send chat history when user joins room
-  socket.on('get-chat-history', ({ roomId }) => {
-    if (chatMessages[roomId]) {
-      socket.emit('chat-history', chatMessages[roomId]);
+  // Messages the chat filter held back, for moderators to approve or reject
+  socket.on('get-held-messages', async ({ roomId, userId }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findModeratedStream(roomId, userId);
+      if (!stream) return;
+      
+      const messages = await ChatMessage.find({ roomId, held: true, deleted: false })
+        .sort({ _id: 1 })
+        .limit(CHAT_HISTORY_LIMIT);
+      socket.emit('held-messages', messages.map(message => message.toChatPayload()));
+    } catch (error) {
+      console.error('Error fetching held messages:', error);
     }
   });
 
-  // Message reactions
-  socket.on('add-reaction', (reactionData) => {
-    socket.to(reactionData.roomId).emit('message-reaction', reactionData);
+  socket.on('review-held-message', async ({ roomId, userId, messageId, approve }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findModeratedStream(roomId, userId);
+      if (!stream) {
+        socket.emit('chat-error', { message: 'Only moderators can review held messages' });
+        return;
+      }
+      
+      const message = await ChatMessage.findOne({ messageId, roomId, held: true, deleted: false });
+      if (!message) {
+        socket.emit('chat-error', { message: 'That message was already reviewed' });
+        return;
+      }
+      
+      if (approve) {
+        message.held = false;
+      } else {
+        message.deleted = true;
+        message.deletedBy = userId;
+        message.deletedAt = new Date();
+      }
+      await message.save();
+      console.log(`Held message ${messageId} ${approve ? 'approved' : 'rejected'} by ${userId}`);
+      
+      if (approve) {
+        io.to(roomId).emit('chat-message', message.toChatPayload());
+      } else {
+        io.to(roomId).emit('message-deleted', messageId);
+      }
+      await emitToModerators(roomId, 'held-message-reviewed', { messageId, approved: Boolean(approve) });
+    } catch (error) {
+      console.error('Error reviewing held message:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
   });
 
-  // Message deletion
-  socket.on('delete-message', ({ messageId, roomId, userId }) => {
-    // Optionally verify that the user is allowed to delete this message
-    // For example, check if user is host or message author
+  // Message reports: any viewer can flag a message for the moderators
+  socket.on('report-message', async ({ roomId, userId, username, messageId, reason, details }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      if (!MessageReport.REASONS.includes(reason)) {
+        socket.emit('chat-error', { message: 'Pick a reason for the report' });
+        return;
+      }
+      
+      const [stream, message] = await Promise.all([
+        Stream.findOne({ roomId }).select('hostId'),
+        ChatMessage.findOne({ messageId, roomId, deleted: false })
+      ]);
+      if (!stream || !message) {
+        socket.emit('chat-error', { message: 'That message no longer exists' });
+        return;
+      }
+      if (message.userId === userId) {
+        socket.emit('chat-error', { message: 'You cannot report your own message' });
+        return;
+      }
+      
+      const report = await MessageReport.create({
+        channelId: stream.hostId,
+        roomId,
+        messageId,
+        messageText: message.text,
+        messageUserId: message.userId,
+        messageUsername: message.username,
+        reportedBy: userId,
+        reporterUsername: username,
+        reason,
+        details: typeof details === 'string' ? details.slice(0, 300) : undefined
+      });
+      console.log(`Message ${messageId} reported by ${userId} for ${reason}`);
+      
+      socket.emit('message-reported', { messageId });
+      await emitToModerators(roomId, 'report-created', report.toReportPayload());
+    } catch (error) {
+      if (error.code === 11000) {
+        socket.emit('chat-error', { message: 'You already reported this message' });
+        return;
+      }
+      console.error('Error reporting message:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  // The channel's report queue: open reports, or the handled ones as a record
+  socket.on('get-reports', async ({ roomId, userId, status = 'open' }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findModeratedStream(roomId, userId);
+      if (!stream) return;
+      
+      const reports = await MessageReport.find({
+        channelId: stream.hostId,
+        status: status === 'resolved' ? 'resolved' : 'open'
+      })
+        .sort({ createdAt: -1 })
+        .limit(REPORT_QUEUE_LIMIT);
+      socket.emit('reports', { status, reports: reports.map(report => report.toReportPayload()) });
+    } catch (error) {
+      console.error('Error fetching reports:', error);
+    }
+  });
+
+  // Close every open report on the reported message with one action
+  socket.on('resolve-report', async ({ roomId, userId, username, reportId, action }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findModeratedStream(roomId, userId);
+      if (!stream) {
+        socket.emit('chat-error', { message: 'Only moderators can handle reports' });
+        return;
+      }
+      if (!MessageReport.RESOLUTIONS.includes(action)) {
+        socket.emit('chat-error', { message: 'Unknown report action' });
+        return;
+      }
+      
+      const report = await MessageReport.findOne({ _id: reportId, channelId: stream.hostId, status: 'open' });
+      if (!report) {
+        socket.emit('chat-error', { message: 'That report was already handled' });
+        return;
+      }
+      
+      if (action === 'ban') {
+        const banned = await restrictUser(socket, {
+          roomId,
+          userId,
+          targetUserId: report.messageUserId,
+          targetUsername: report.messageUsername,
+          reason: `Reported for ${report.reason}`,
+          type: 'ban'
+        });
+        if (!banned) return;
+      }
+      
+      if (action === 'delete' || action === 'ban') {
+        const message = await ChatMessage.findOneAndUpdate(
+          { messageId: report.messageId, deleted: false },
+          { deleted: true, deletedBy: userId, deletedAt: new Date() }
+        );
+        if (message) {
+          io.to(message.roomId).emit('message-deleted', report.messageId);
+          await unpinRoom(message.roomId, { messageId: report.messageId });
+        }
+      }
+      
+      const handledAt = new Date();
+      await MessageReport.updateMany(
+        { channelId: stream.hostId, messageId: report.messageId, status: 'open' },
+        { status: 'resolved', resolution: action, handledBy: userId, handledByUsername: username, handledAt }
+      );
+      console.log(`Reports on message ${report.messageId} resolved (${action}) by ${userId}`);
+      
+      await emitToModerators(roomId, 'reports-resolved', {
+        messageId: report.messageId,
+        resolution: action,
+        handledBy: userId,
+        handledByUsername: username || null,
+        handledAt
+      });
+    } catch (error) {
+      console.error('Error resolving report:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  // Blocked terms: the host's word filter, managed from the studio
+  socket.on('get-blocked-terms', async ({ roomId, userId }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can manage the chat filter');
+      if (!stream) return;
+      await emitBlockedTerms(socket, stream.hostId);
+    } catch (error) {
+      console.error('Error fetching blocked terms:', error);
+    }
+  });
+
+  socket.on('add-blocked-term', async ({ roomId, userId, term = {} }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can manage the chat filter');
+      if (!stream) return;
+      
+      const invalid = validateTerm(term);
+      if (invalid) {
+        socket.emit('blocked-terms-error', { message: invalid });
+        return;
+      }
+      
+      await BlockedTerm.create({
+        channelId: stream.hostId,
+        pattern: term.pattern.trim(),
+        isRegex: Boolean(term.isRegex),
+        action: term.action,
+        createdBy: userId
+      });
+      chatFilters.delete(stream.hostId);
+      
+      await emitBlockedTerms(socket, stream.hostId);
+    } catch (error) {
+      if (error.code === 11000) {
+        socket.emit('blocked-terms-error', { message: 'That term is already on the list' });
+        return;
+      }
+      console.error('Error adding blocked term:', error);
+      socket.emit('blocked-terms-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  socket.on('remove-blocked-term', async ({ roomId, userId, termId }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can manage the chat filter');
+      if (!stream) return;
+      
+      await BlockedTerm.deleteOne({ _id: termId, channelId: stream.hostId });
+      chatFilters.delete(stream.hostId);
+      
+      await emitBlockedTerms(socket, stream.hostId);
+    } catch (error) {
+      console.error('Error removing blocked term:', error);
+      socket.emit('blocked-terms-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  // Send the latest chat history when a user joins the room
+  socket.on('get-chat-history', async ({ roomId }) => {
+    try {
+      const messages = await ChatMessage.find({ roomId, deleted: false, held: { $ne: true } })
+        .sort({ _id: -1 })
+        .limit(CHAT_HISTORY_LIMIT);
+      socket.emit('chat-history', messages.reverse().map(message => message.toChatPayload(socket.userId)));
+    } catch (error) {
+      console.error('Error fetching chat history:', error);
+    }
+  });
+
+  // Pinned messages and announcements stay above the chat, for late joiners
+  // too, until the host unpins them or they expire
+  socket.on('get-pinned-message', async ({ roomId }) => {
+    try {
+      const pin = await PinnedMessage.findActive(roomId);
+      socket.emit('pinned-message', pin ? pin.toPinPayload() : null);
+    } catch (error) {
+      console.error('Error fetching pinned message:', error);
+    }
+  });
+
+  socket.on('pin-message', async ({ roomId, userId, messageId, duration }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can pin messages');
+      if (!stream) return;
+      
+      const message = await ChatMessage.findOne({ messageId, roomId, deleted: false, held: { $ne: true } });
+      if (!message) {
+        socket.emit('chat-error', { message: 'That message no longer exists' });
+        return;
+      }
+      
+      await pinToRoom(roomId, userId, {
+        kind: 'message',
+        messageId,
+        userId: message.userId,
+        username: message.username,
+        text: message.text
+      }, duration);
+    } catch (error) {
+      console.error('Error pinning message:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  socket.on('post-announcement', async ({ roomId, userId, username, text, style, duration }) => {
+    const announcement = typeof text === 'string' ? text.trim() : '';
+    if (!announcement) return;
     
-    // If using DB storage, delete from database here
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can post announcements');
+      if (!stream) return;
+      
+      await pinToRoom(roomId, userId, {
+        kind: 'announcement',
+        userId,
+        username,
+        text: announcement.slice(0, 500),
+        style: PinnedMessage.STYLES.includes(style) ? style : 'info'
+      }, duration);
+    } catch (error) {
+      console.error('Error posting announcement:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  socket.on('unpin-message', async ({ roomId, userId }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can unpin messages');
+      if (!stream) return;
+      await unpinRoom(roomId);
+    } catch (error) {
+      console.error('Error unpinning message:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  // Live polls: the host runs one at a time and viewers vote once each.
+  // Tallies are kept on the poll so results outlive the stream.
+  socket.on('get-active-poll', async ({ roomId }) => {
+    try {
+      await socket.registration;
+      const poll = await Poll.findOne({ roomId }).sort({ createdAt: -1 });
+      const vote = poll && socket.userId
+        ? await PollVote.findOne({ pollId: poll._id, userId: socket.userId })
+        : null;
+      
+      socket.emit('active-poll', {
+        poll: poll ? poll.toPollPayload() : null,
+        myVote: vote ? vote.optionIndex : null
+      });
+    } catch (error) {
+      console.error('Error fetching poll:', error);
+    }
+  });
+
+  socket.on('create-poll', async ({ roomId, userId, question, options, duration }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can start polls');
+      if (!stream) return;
+      
+      const { minDuration, maxDuration } = Poll.LIMITS;
+      const seconds = Math.min(Math.max(parseInt(duration, 10) || 60, minDuration), maxDuration);
+      const choices = (Array.isArray(options) ? options : [])
+        .map(option => (typeof option === 'string' ? option.trim() : ''))
+        .filter(Boolean);
+      
+      const poll = new Poll({
+        streamId: stream._id,
+        roomId,
+        question: typeof question === 'string' ? question : '',
+        options: choices.map(text => ({ text })),
+        createdBy: userId,
+        endsAt: new Date(Date.now() + seconds * 1000)
+      });
+      await poll.validate();
+      
+      // One poll at a time: starting a new one ends the last
+      const open = await Poll.find({ roomId, closedAt: null, endsAt: { $gt: new Date() } });
+      for (const previous of open) {
+        await closePoll(previous);
+      }
+      await poll.save();
+      console.log(`Poll ${poll._id} started in room ${roomId} for ${seconds}s`);
+      
+      schedulePollClose(poll);
+      io.to(roomId).emit('poll-updated', poll.toPollPayload());
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        socket.emit('chat-error', { message: Object.values(error.errors)[0].message });
+        return;
+      }
+      console.error('Error creating poll:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  socket.on('vote-poll', async ({ roomId, userId, pollId, optionIndex }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      
+      const restriction = await getChatRestriction(roomId, userId);
+      if (restriction) {
+        socket.emit('chat-error', { message: `You can't vote while ${restriction.type === 'ban' ? 'banned' : 'timed out'}` });
+        return;
+      }
+      
+      const poll = await Poll.findOne({ _id: pollId, roomId });
+      if (!poll || !poll.isOpen()) {
+        socket.emit('chat-error', { message: 'This poll has ended' });
+        return;
+      }
+      if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= poll.options.length) {
+        socket.emit('chat-error', { message: 'Pick one of the poll options' });
+        return;
+      }
+      
+      // The unique vote comes first so a double vote never reaches the tally
+      await PollVote.create({ pollId: poll._id, userId, optionIndex });
+      await Poll.updateOne({ _id: poll._id }, { $inc: { [`options.${optionIndex}.votes`]: 1 } });
+      
+      socket.emit('poll-voted', { pollId, optionIndex });
+      queuePollUpdate(poll._id.toString());
+    } catch (error) {
+      if (error.code === 11000) {
+        socket.emit('chat-error', { message: 'You already voted in this poll' });
+        return;
+      }
+      console.error('Error voting in poll:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  socket.on('end-poll', async ({ roomId, userId, pollId }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can end polls');
+      if (!stream) return;
+      
+      const poll = await Poll.findOne({ _id: pollId, roomId });
+      if (poll && poll.isOpen()) {
+        await closePoll(poll);
+      }
+    } catch (error) {
+      console.error('Error ending poll:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  // Q&A: viewers ask and upvote questions; the host works through them
+  socket.on('get-questions', async ({ roomId }) => {
+    try {
+      await socket.registration;
+      const questions = await Question.find({ roomId })
+        .sort({ votes: -1, createdAt: 1 })
+        .limit(QUESTION_LIST_LIMIT);
+      socket.emit('questions', questions.map(question => question.toQuestionPayload(socket.userId)));
+    } catch (error) {
+      console.error('Error fetching questions:', error);
+    }
+  });
+
+  socket.on('ask-question', async ({ roomId, userId, username, text }) => {
+    const questionText = typeof text === 'string' ? text.trim().slice(0, 300) : '';
+    if (!roomId || !questionText) return;
+    
+    let slot;
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      // Questions share the chat's slow-mode slot, claimed before any await
+      slot = claimChatSlot(roomId, userId);
+      
+      const stream = await Stream.findOne({ roomId }).select('roomId hostId chatModes');
+      const restriction = await getStreamRestriction(stream, userId);
+      if (restriction) {
+        releaseChatSlot(slot);
+        socket.emit('chat-error', { message: `You can't ask questions while ${restriction.type === 'ban' ? 'banned' : 'timed out'}` });
+        return;
+      }
+      
+      // Questions go out to everyone, so they keep to the chat modes and word
+      // filter too. There's no review queue for questions, so held ones are
+      // turned away like dropped ones.
+      const violation = await getChatModeViolation(stream, userId, questionText, slot.previous);
+      if (violation) {
+        releaseChatSlot(slot);
+        socket.emit('chat-error', { message: violation.message });
+        return;
+      }
+      const filtered = await filterChatMessage(stream, questionText);
+      if (filtered.action === 'drop' || filtered.action === 'hold') {
+        releaseChatSlot(slot);
+        socket.emit('chat-error', { message: 'Your question was blocked by the chat filter' });
+        return;
+      }
+      
+      const question = await Question.create({
+        roomId,
+        userId,
+        username,
+        text: filtered.text
+      });
+      
+      io.to(roomId).emit('question-updated', question.toQuestionPayload());
+    } catch (error) {
+      if (slot) releaseChatSlot(slot);
+      console.error('Error asking question:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  socket.on('upvote-question', async ({ roomId, userId, questionId }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      
+      // Only counts once per viewer, and not for your own or answered questions
+      const question = await Question.findOneAndUpdate(
+        { _id: questionId, roomId, userId: { $ne: userId }, voters: { $ne: userId }, status: { $ne: 'answered' } },
+        { $addToSet: { voters: userId }, $inc: { votes: 1 } },
+        { new: true }
+      );
+      if (!question) return;
+      
+      socket.emit('question-upvoted', { questionId });
+      io.to(roomId).emit('question-updated', question.toQuestionPayload());
+    } catch (error) {
+      console.error('Error upvoting question:', error);
+    }
+  });
+
+  socket.on('set-question-status', async ({ roomId, userId, questionId, status }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can answer questions');
+      if (!stream) return;
+      if (!Question.STATUSES.includes(status)) return;
+      
+      // Only one question is highlighted at a time; the previous one goes back to the list
+      if (status === 'answering') {
+        const current = await Question.find({ roomId, status: 'answering', _id: { $ne: questionId } });
+        for (const previous of current) {
+          previous.status = 'open';
+          await previous.save();
+          io.to(roomId).emit('question-updated', previous.toQuestionPayload());
+        }
+      }
+      
+      const question = await Question.findOneAndUpdate(
+        { _id: questionId, roomId },
+        { status, answeredAt: status === 'answered' ? new Date() : null },
+        { new: true }
+      );
+      if (!question) return;
+      
+      io.to(roomId).emit('question-updated', question.toQuestionPayload());
+    } catch (error) {
+      console.error('Error updating question:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  // Live reactions over the video. These are throwaway, so they skip the
+  // database and identity checks and only count taps from sockets in the room.
+  socket.on('send-live-reaction', ({ roomId, reaction } = {}) => {
+    if (!roomId || !socket.rooms.has(roomId) || !LIVE_REACTIONS.includes(reaction)) return;
     
-    // Notify all clients about deleted message
-    io.to(roomId).emit('message-deleted', messageId);
+    const now = Date.now();
+    if (!socket.liveReactionWindow || now - socket.liveReactionWindow.start >= 1000) {
+      socket.liveReactionWindow = { start: now, count: 0 };
+    }
+    if (socket.liveReactionWindow.count >= LIVE_REACTION_RATE) return;
+    socket.liveReactionWindow.count++;
+    
+    queueLiveReaction(roomId, reaction);
+  });
+
+  // Message reactions: reacting with an emoji you already used removes it
+  socket.on('toggle-reaction', async ({ messageId, roomId, userId, reaction }) => {
+    if (!messageId || !roomId || !isValidReaction(reaction)) return;
     
-    // Update in-memory storage if using
-    if (chatMessages[roomId]) {
-      chatMessages[roomId] = chatMessages[roomId].filter(msg => msg.id !== messageId);
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      if (await getChatRestriction(roomId, userId)) return;
+      
+      const visible = { messageId, roomId, deleted: false, held: { $ne: true } };
+      const message = await ChatMessage.findOne(visible);
+      if (!message) return;
+      
+      const key = `reactions.${reaction}`;
+      const users = message.reactions.get(reaction);
+      const active = !users?.includes(userId);
+      
+      if (active) {
+        if (!users && message.reactions.size >= MAX_REACTION_TYPES) {
+          socket.emit('chat-error', { message: 'This message has too many different reactions' });
+          return;
+        }
+        await ChatMessage.updateOne(visible, { $addToSet: { [key]: userId } });
+      } else {
+        await ChatMessage.updateOne(visible, { $pull: { [key]: userId } });
+        await ChatMessage.updateOne({ ...visible, [key]: { $size: 0 } }, { $unset: { [key]: 1 } });
+      }
+      
+      const updated = await ChatMessage.findOne(visible);
+      if (!updated) return;
+      
+      // Everyone gets the counts; the toggle lets the reactor update their own state
+      io.to(roomId).emit('message-reactions', {
+        messageId,
+        reactions: updated.summarizeReactions(),
+        userId,
+        reaction,
+        active
+      });
+    } catch (error) {
+      console.error('Error toggling reaction:', error);
+    }
+  });
+
+  // Message deletion
+  socket.on('delete-message', async ({ messageId, roomId, userId }) => {
+    try {
+      const deletedBy = await getSocketUser(socket, userId);
+      if (!deletedBy) return;
+      
+      const message = await ChatMessage.findOne({ messageId, roomId, deleted: false });
+      if (!message) {
+        socket.emit('chat-error', { message: 'That message no longer exists' });
+        return;
+      }
+      
+      // Authors can delete their own messages, moderators anyone's
+      if (message.userId !== deletedBy && !(await findModeratedStream(roomId, deletedBy))) {
+        console.log(`Rejected deletion of ${messageId} by ${deletedBy}`);
+        socket.emit('chat-error', { message: 'You can only delete your own messages' });
+        return;
+      }
+      
+      // Soft delete so the message drops out of history
+      message.deleted = true;
+      message.deletedBy = deletedBy;
+      message.deletedAt = new Date();
+      await message.save();
+      
+      // Notify all clients about deleted message
+      io.to(roomId).emit('message-deleted', messageId);
+      await unpinRoom(roomId, { messageId });
+    } catch (error) {
+      console.error('Error deleting chat message:', error);
+      socket.emit('chat-error', { message: 'Could not delete the message' });
+    }
+  });
+
+  // Chat moderation: timeouts silence a user for a while, bans keep them out
+  // of the channel. Both are persisted and enforced by the server.
+  socket.on('timeout-user', ({ roomId, userId, targetUserId, targetUsername, duration, reason }) => {
+    restrictUser(socket, { roomId, userId, targetUserId, targetUsername, reason, duration, type: 'timeout' });
+  });
+
+  socket.on('ban-user', ({ roomId, userId, targetUserId, targetUsername, reason }) => {
+    restrictUser(socket, { roomId, userId, targetUserId, targetUsername, reason, type: 'ban' });
+  });
+
+  socket.on('unmute-user', ({ roomId, userId, targetUserId }) => {
+    liftRestriction(socket, { roomId, userId, targetUserId, type: 'timeout' });
+  });
+
+  socket.on('unban-user', ({ roomId, userId, targetUserId }) => {
+    liftRestriction(socket, { roomId, userId, targetUserId, type: 'ban' });
+  });
+
+  // Chat modes: slow mode, emote-only and a minimum account age
+  socket.on('get-chat-modes', async ({ roomId }) => {
+    try {
+      const stream = await Stream.findOne({ roomId }).select('chatModes');
+      if (!stream) return;
+      socket.emit('chat-modes', stream.chatModes.toObject());
+    } catch (error) {
+      console.error('Error fetching chat modes:', error);
+    }
+  });
+
+  socket.on('set-chat-modes', async ({ roomId, userId, modes }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findModeratedStream(roomId, userId);
+      if (!stream) {
+        socket.emit('chat-error', { message: 'Only moderators can change chat modes' });
+        return;
+      }
+      
+      const update = sanitizeChatModes(modes);
+      Object.entries(update).forEach(([key, value]) => {
+        stream.chatModes[key] = value;
+      });
+      await stream.save();
+      console.log(`Chat modes for room ${roomId} set to`, stream.chatModes.toObject());
+      
+      io.to(roomId).emit('chat-modes', stream.chatModes.toObject());
+    } catch (error) {
+      console.error('Error updating chat modes:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  // Moderators: the host can hand timeouts and deletions to trusted chatters
+  socket.on('get-moderators', async ({ roomId }) => {
+    try {
+      const stream = await Stream.findOne({ roomId }).select('hostId');
+      if (!stream) return;
+      await emitModerators(socket, stream.hostId);
+    } catch (error) {
+      console.error('Error fetching moderators:', error);
     }
   });
 
-  // User muting
-  socket.on('mute-user', async ({ roomId, userId, targetUserId, targetUsername }) => {
-    // Check if requester is the host
-    const stream = await Stream.findOne({ roomId, hostId: userId });
-    if (stream) {
-      // Store muted user in a set or database
-      if (!mutedUsers[roomId]) {
-        mutedUsers[roomId] = new Set();
+  socket.on('add-moderator', async ({ roomId, userId, targetUserId, targetUsername }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can add moderators');
+      if (!stream) return;
+      if (!targetUserId || targetUserId === stream.hostId) {
+        socket.emit('chat-error', { message: 'The host is already a moderator' });
+        return;
       }
-      mutedUsers[roomId].add(targetUserId);
       
-      // Optional: Broadcast to all moderators that user was muted
-      // This could be used to sync mute state across host devices
-      socket.to(roomId).emit('user-muted', { targetUserId, targetUsername });
+      await ChannelModerator.updateOne(
+        { channelId: stream.hostId, userId: targetUserId },
+        { $set: { username: targetUsername }, $setOnInsert: { addedBy: userId } },
+        { upsert: true }
+      );
+      console.log(`User ${targetUserId} is now a moderator in room ${roomId}`);
+      
+      await emitModerators(io.to(roomId), stream.hostId);
+    } catch (error) {
+      console.error('Error adding moderator:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  socket.on('remove-moderator', async ({ roomId, userId, targetUserId }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findHostedStream(socket, roomId, userId, 'Only the host can remove moderators');
+      if (!stream) return;
+      
+      await ChannelModerator.deleteOne({ channelId: stream.hostId, userId: targetUserId });
+      console.log(`User ${targetUserId} is no longer a moderator in room ${roomId}`);
+      
+      await emitModerators(io.to(roomId), stream.hostId);
+    } catch (error) {
+      console.error('Error removing moderator:', error);
+      socket.emit('chat-error', { message: `Server error: ${error.message}` });
+    }
+  });
+
+  socket.on('get-restrictions', async ({ roomId, userId }) => {
+    try {
+      if (!(await getSocketUser(socket, userId))) return;
+      const stream = await findModeratedStream(roomId, userId);
+      if (!stream) return;
+      await emitRestrictions(socket, stream.hostId);
+    } catch (error) {
+      console.error('Error fetching restrictions:', error);
+    }
+  });
+
+  // Browser media ingest - the host's MediaRecorder pushes WebM chunks here
+  socket.on('start-ingest', async ({ roomId, userId }) => {
+    try {
+      // Only the host of an active stream may publish media into the room,
+      // going by the identity bound to this socket
+      const hostId = await getSocketUser(socket, userId);
+      const stream = hostId && await Stream.findOne({ roomId, hostId, active: true });
+      if (!stream) {
+        socket.emit('ingest-error', { message: 'Only the host of an active stream can publish media' });
+        return;
+      }
+
+      startIngest(roomId);
+      socket.ingestRoomId = roomId;
+      // Chat replay offsets count from when media first flows, like the RTMP
+      // server does for encoders; a host that restarts ingest keeps the first time
+      await Stream.updateOne({ _id: stream._id }, [
+        { $set: { startedAt: { $ifNull: ['$startedAt', '$$NOW'] } } }
+      ]);
+      socket.emit('ingest-started', { roomId });
+    } catch (error) {
+      console.error('Error starting ingest:', error);
+      socket.emit('ingest-error', { message: `Server error: ${error.message}` });
     }
   });
 
+  // Chunks and stops are only taken from the socket 'start-ingest' accepted
+  socket.on('ingest-chunk', ({ roomId, chunk }) => {
+    if (socket.ingestRoomId !== roomId || !chunk) return;
+    pushIngestChunk(roomId, chunk);
+  });
+
+  socket.on('stop-ingest', ({ roomId }) => {
+    if (socket.ingestRoomId !== roomId) return;
+    stopIngest(roomId);
+    socket.ingestRoomId = null;
+  });
+
   // Add RTMP control events
   socket.on('start-rtmp-stream', async ({ roomId, userId, destinations }) => {
     try {
       console.log(`Starting RTMP stream for room ${roomId}, user ${userId}`);
-      console.log('Destinations:', destinations);
       
       // Validate destinations
       if (!destinations || destinations.length === 0) {
@@ -184,79 +1240,73 @@ io.on('connection', (socket) => {
         return;
       }
       
-      const streamSourceUrl = `http://localhost:${PORT}/api/streams/${roomId}/source`;
-      console.log(`Using stream source: ${streamSourceUrl}`);
+      const stream = await findRestreamHost(socket, roomId, userId);
+      if (!stream || !requireIngest(socket, roomId)) return;
+      
+      const started = await startRtmpStreams(roomId, destinations, stream._id);
+      
+      socket.emit('rtmp-stream-started', { 
+        success: started.length > 0, 
+        message: started.length > 0 ? 'Stream started successfully' : 'No destinations could be started',
+        error: started.length > 0 ? undefined : 'No destinations could be started',
+        destinations: started
+      });
+      
+    } catch (error) {
+      console.error('Error in start-rtmp-stream:', error);
+      socket.emit('rtmp-stream-error', { 
+        success: false, 
+        message: `Server error: ${error.message}` 
+      });
+    }
+  });
+  
+  // Add a single platform mid-broadcast without touching the others
+  socket.on('start-rtmp-destination', async ({ roomId, userId, destination }) => {
+    try {
+      if (!destination || !destination.platform) {
+        socket.emit('rtmp-stream-error', { 
+          success: false, 
+          message: 'No streaming destination provided' 
+        });
+        return;
+      }
+      
+      const stream = await findRestreamHost(socket, roomId, userId);
+      if (!stream || !requireIngest(socket, roomId)) return;
       
-      // Process each destination
-      destinations.forEach(destination => {
-        if (!destination.streamKey || !destination.url) {
-          socket.emit('rtmp-stream-error', { 
-            success: false, 
-            message: `Missing required data for ${destination.platform} stream` 
-          });
-          return;
-        }
-        
-        // Use the installed FFmpeg path
-        console.log(`Using FFmpeg at: ${ffmpegPath}`);
-        const ffmpeg = spawn(ffmpegPath, [
-          '-i', streamSourceUrl,
-          '-c:v', 'libx264',
-          '-preset', 'veryfast',
-          '-maxrate', '3000k',
-          '-bufsize', '6000k',
-          '-framerate', '30',
-          '-c:a', 'aac',
-          '-b:a', '128k',
-          '-ar', '44100',
-          '-f', 'flv',
-          `${destination.url}/${destination.streamKey}`
-        ]);
-        
-        // Handle process events
-        ffmpeg.stdout.on('data', (data) => {
-          console.log(`FFmpeg stdout (${destination.platform}): ${data}`);
-        });
-        
-        ffmpeg.stderr.on('data', (data) => {
-          console.log(`FFmpeg stderr (${destination.platform}): ${data}`);
-        });
-        
-        ffmpeg.on('error', (error) => {
-          console.error(`FFmpeg error (${destination.platform}):`, error);
-          socket.emit('rtmp-stream-error', { 
-            success: false, 
-            message: `Streaming error: ${error.message}`, 
-            platform: destination.platform 
-          });
-        });
-        
-        ffmpeg.on('close', (code) => {
-          console.log(`FFmpeg process for ${destination.platform} exited with code ${code}`);
-          if (code !== 0) {
-            socket.emit('rtmp-stream-error', { 
-              success: false, 
-              message: `Stream ended with code ${code}`, 
-              platform: destination.platform 
-            });
-          }
-        });
-        
-        // Store the process for potential termination
-        socket.ffmpegProcesses = socket.ffmpegProcesses || [];
-        socket.ffmpegProcesses.push({
-          process: ffmpeg,
-          platform: destination.platform
-        });
-      });
+      const started = await startRtmpStreams(roomId, [destination], stream._id);
       
       socket.emit('rtmp-stream-started', { 
-        success: true, 
-        message: 'Stream started successfully' 
+        success: started.length > 0, 
+        message: `Started ${destination.platform} stream`,
+        error: started.length > 0 ? undefined : `Could not start ${destination.platform} stream`,
+        destinations: started
+      });
+    } catch (error) {
+      console.error('Error in start-rtmp-destination:', error);
+      socket.emit('rtmp-stream-error', { 
+        success: false, 
+        message: `Server error: ${error.message}` 
       });
+    }
+  });
+  
+  // Remove a single platform; the rest keep streaming
+  socket.on('stop-rtmp-destination', async ({ roomId, userId, platform }) => {
+    try {
+      const stream = await findRestreamHost(socket, roomId, userId);
+      if (!stream) return;
       
+      const result = stopRtmpStream(roomId, platform);
+      socket.emit('rtmp-stream-stopped', { 
+        success: result.success, 
+        message: result.message,
+        error: result.success ? undefined : result.message,
+        platform 
+      });
     } catch (error) {
-      console.error('Error in start-rtmp-stream:', error);
+      console.error('Error in stop-rtmp-destination:', error);
       socket.emit('rtmp-stream-error', { 
         success: false, 
         message: `Server error: ${error.message}` 
@@ -264,20 +1314,33 @@ io.on('connection', (socket) => {
     }
   });
   
-  // Handle cleanup on disconnect
-  socket.on('disconnect', () => {
-    if (socket.ffmpegProcesses && socket.ffmpegProcesses.length > 0) {
-      console.log(`Cleaning up ${socket.ffmpegProcesses.length} FFmpeg processes`);
-      socket.ffmpegProcesses.forEach(({ process, platform }) => {
-        try {
-          process.kill('SIGTERM');
-          console.log(`Terminated FFmpeg process for ${platform}`);
-        } catch (err) {
-          console.error(`Error terminating FFmpeg process for ${platform}:`, err);
-        }
+  socket.on('stop-rtmp', async ({ roomId, userId }) => {
+    try {
+      const stream = await findRestreamHost(socket, roomId, userId);
+      if (!stream) return;
+      
+      const result = stopRtmpStream(roomId);
+      socket.emit('rtmp-stream-stopped', { 
+        success: result.success, 
+        message: result.message,
+        error: result.success ? undefined : result.message
+      });
+    } catch (error) {
+      console.error('Error in stop-rtmp:', error);
+      socket.emit('rtmp-stream-error', { 
+        success: false, 
+        message: `Server error: ${error.message}` 
       });
     }
   });
+  
+  // Handle cleanup on disconnect. Restreams belong to the room rather than
+  // this socket, so a refreshed studio finds them still running.
+  socket.on('disconnect', () => {
+    if (socket.ingestRoomId) {
+      stopIngest(socket.ingestRoomId);
+    }
+  });
 
   // Add this to your socket.io event handlers
   socket.on('get-external-streaming-status', async ({ roomId }) => {
@@ -285,18 +1348,28 @@ io.on('connection', (socket) => {
       const stream = await Stream.findOne({ roomId, active: true });
       
       if (stream) {
-        // Get active platforms
-        const activePlatforms = Object.keys(ffmpegProcesses[roomId] || {});
+        // Get active platforms and where each one's encoder is at
+        const jobs = ffmpegProcesses[roomId] || {};
+        const activePlatforms = Object.keys(jobs);
+        const statuses = {};
+        activePlatforms.forEach(platform => {
+          statuses[platform] = {
+            status: jobs[platform].restreamStatus,
+            stats: jobs[platform].stats
+          };
+        });
         
         // Send status to client
         socket.emit('external-streaming-status', { 
           active: activePlatforms.length > 0, 
-          platforms: activePlatforms 
+          platforms: activePlatforms,
+          statuses
         });
       } else {
         socket.emit('external-streaming-status', { 
           active: false, 
-          platforms: [] 
+          platforms: [],
+          statuses: {}
         });
       }
     } catch (error) {
@@ -310,9 +1383,426 @@ io.on('connection', (socket) => {
   });
 });
 
+// The user id a chat event may act as: the socket's bound identity, and only
+// if the payload claims the same one. Spoofed ids get a 'chat-error'.
+async function getSocketUser(socket, claimedUserId) {
+  await socket.registration;
+  if (!socket.userId || claimedUserId !== socket.userId) {
+    console.log(`Rejected chat event from socket ${socket.id} claiming ${claimedUserId}`);
+    socket.emit('chat-error', { message: 'You are not allowed to do that' });
+    return null;
+  }
+  return socket.userId;
+}
+
+// Why a message breaks the stream's chat modes, or null. The host and
+// moderators aren't held to them. `lastMessageAt` is the user's previous
+// message time, from claimChatSlot.
+async function getChatModeViolation(stream, userId, text, lastMessageAt) {
+  const modes = stream?.chatModes;
+  if (!modes || (!modes.slowMode && !modes.emoteOnly && !modes.minAccountAge)) {
+    return null;
+  }
+  if (userId === stream.hostId || await ChannelModerator.exists({ channelId: stream.hostId, userId })) {
+    return null;
+  }
+  
+  const chatUser = modes.minAccountAge > 0 ? await ChatUser.findOne({ userId }) : null;
+  return checkChatModes(modes, {
+    text,
+    lastMessageAt,
+    firstSeenAt: chatUser?.firstSeenAt
+  });
+}
+
+// Record a message from the user now, in one synchronous step with reading
+// their previous time for the slow-mode check
+function claimChatSlot(roomId, userId) {
+  lastChatMessages[roomId] = lastChatMessages[roomId] || new Map();
+  const slot = { roomId, userId, previous: lastChatMessages[roomId].get(userId), claimedAt: Date.now() };
+  lastChatMessages[roomId].set(userId, slot.claimedAt);
+  return slot;
+}
+
+// Undo a claim for a message that was turned away, unless a later message
+// has claimed the slot since
+function releaseChatSlot({ roomId, userId, previous, claimedAt }) {
+  const times = lastChatMessages[roomId];
+  if (!times || times.get(userId) !== claimedAt) return;
+  if (previous === undefined) {
+    times.delete(userId);
+  } else {
+    times.set(userId, previous);
+  }
+}
+
+// Announce the final results when the poll's time runs out
+function schedulePollClose(poll) {
+  const pollId = poll._id.toString();
+  const timer = setTimeout(async () => {
+    pollTimers.delete(pollId);
+    try {
+      const finished = await Poll.findById(pollId);
+      if (finished) {
+        io.to(finished.roomId).emit('poll-updated', finished.toPollPayload());
+      }
+    } catch (error) {
+      console.error('Error closing poll:', error);
+    }
+  }, Math.max(poll.endsAt.getTime() - Date.now(), 0));
+  
+  pollTimers.set(pollId, timer);
+}
+
+// End a poll early and send everyone its final results
+async function closePoll(poll) {
+  const pollId = poll._id.toString();
+  clearTimeout(pollTimers.get(pollId));
+  pollTimers.delete(pollId);
+  
+  poll.closedAt = new Date();
+  await poll.save();
+  console.log(`Poll ${pollId} closed`);
+  io.to(poll.roomId).emit('poll-updated', poll.toPollPayload());
+}
+
+// Send the poll's tallies to the room, at most once per POLL_UPDATE_INTERVAL
+function queuePollUpdate(pollId) {
+  if (pendingPollUpdates.has(pollId)) return;
+  
+  pendingPollUpdates.set(pollId, setTimeout(async () => {
+    pendingPollUpdates.delete(pollId);
+    try {
+      const poll = await Poll.findById(pollId);
+      if (poll) {
+        io.to(poll.roomId).emit('poll-updated', poll.toPollPayload());
+      }
+    } catch (error) {
+      console.error('Error sending poll results:', error);
+    }
+  }, POLL_UPDATE_INTERVAL));
+}
+
+// Count a live reaction tap; the room gets the totals at the end of the interval
+function queueLiveReaction(roomId, reaction) {
+  let counts = pendingLiveReactions.get(roomId);
+  if (!counts) {
+    counts = {};
+    pendingLiveReactions.set(roomId, counts);
+    setTimeout(() => {
+      pendingLiveReactions.delete(roomId);
+      io.to(roomId).emit('live-reactions', { counts });
+    }, LIVE_REACTION_INTERVAL);
+  }
+  
+  counts[reaction] = (counts[reaction] || 0) + 1;
+}
+
+// Replace the room's pin and show the new one to everyone in the room.
+// A duration of 0 keeps it up until it's unpinned.
+async function pinToRoom(roomId, pinnedBy, fields, duration) {
+  await PinnedMessage.updateMany(PinnedMessage.activeQuery(roomId), { unpinnedAt: new Date() });
+  
+  const seconds = Math.min(Math.max(parseInt(duration, 10) || 0, 0), MAX_PIN_SECONDS);
+  const pin = await PinnedMessage.create({
+    roomId,
+    pinnedBy,
+    ...fields,
+    expiresAt: seconds > 0 ? new Date(Date.now() + seconds * 1000) : undefined
+  });
+  console.log(`Pinned ${fields.kind} in room ${roomId}`);
+  
+  io.to(roomId).emit('pinned-message', pin.toPinPayload());
+}
+
+// Take down the room's active pin (optionally only if it matches `extra`)
+async function unpinRoom(roomId, extra = {}) {
+  const { modifiedCount } = await PinnedMessage.updateMany(
+    PinnedMessage.activeQuery(roomId, extra),
+    { unpinnedAt: new Date() }
+  );
+  if (modifiedCount > 0) {
+    io.to(roomId).emit('pinned-message', null);
+  }
+}
+
+// Run a message through the word filter of the stream's channel
+async function filterChatMessage(stream, text) {
+  if (!stream) {
+    return { action: null, text };
+  }
+  
+  if (!chatFilters.has(stream.hostId)) {
+    const terms = await BlockedTerm.find({ channelId: stream.hostId });
+    chatFilters.set(stream.hostId, compileFilter(terms));
+  }
+  return applyWordFilter(chatFilters.get(stream.hostId), text);
+}
+
+async function emitBlockedTerms(socket, channelId) {
+  const terms = await BlockedTerm.find({ channelId }).sort({ createdAt: 1 });
+  socket.emit('blocked-terms', terms.map(term => ({
+    id: term._id.toString(),
+    pattern: term.pattern,
+    isRegex: term.isRegex,
+    action: term.action,
+    createdAt: term.createdAt
+  })));
+}
+
+// Send an event to the sockets of the room's host and moderators
+async function emitToModerators(roomId, event, payload) {
+  const stream = await Stream.findOne({ roomId }).select('hostId');
+  if (!stream) return;
+  
+  const moderatorIds = new Set([
+    stream.hostId,
+    ...(await ChannelModerator.distinct('userId', { channelId: stream.hostId }))
+  ]);
+  const clients = io.sockets.adapter.rooms.get(roomId) || new Set();
+  clients.forEach(clientId => {
+    const clientSocket = io.sockets.sockets.get(clientId);
+    if (clientSocket && moderatorIds.has(clientSocket.userId)) {
+      clientSocket.emit(event, payload);
+    }
+  });
+}
+
+// The room's stream if the user can moderate it: its host or one of the
+// channel's moderators
+async function findModeratedStream(roomId, userId) {
+  const stream = await Stream.findOne({ roomId });
+  if (!stream || !userId) return null;
+  
+  if (stream.hostId === userId || await ChannelModerator.exists({ channelId: stream.hostId, userId })) {
+    return stream;
+  }
+  return null;
+}
+
+// Bans and the moderator roster stay with the host
+async function findHostedStream(socket, roomId, userId, message) {
+  const stream = await Stream.findOne({ roomId, hostId: userId });
+  if (!stream) {
+    socket.emit('chat-error', { message });
+  }
+  return stream;
+}
+
+// Send the channel's host and moderators, used for badges and permissions
+async function emitModerators(target, channelId) {
+  const moderators = await ChannelModerator.find({ channelId }).sort({ createdAt: 1 });
+  target.emit('moderators', {
+    hostId: channelId,
+    moderators: moderators.map(({ userId, username }) => ({ userId, username }))
+  });
+}
+
+// A user's active timeout or ban in the channel the room belongs to
+async function getChatRestriction(roomId, userId) {
+  const stream = await Stream.findOne({ roomId }).select('hostId');
+  return getStreamRestriction(stream, userId);
+}
+
+// Same as getChatRestriction, for callers that already loaded the stream
+async function getStreamRestriction(stream, userId) {
+  if (!stream || !userId || userId === stream.hostId) {
+    return null;
+  }
+  return ChatRestriction.findActiveFor(stream.hostId, userId);
+}
+
+function toRestrictionPayload(restriction) {
+  return {
+    id: restriction._id.toString(),
+    userId: restriction.userId,
+    username: restriction.username,
+    type: restriction.type,
+    reason: restriction.reason,
+    expiresAt: restriction.expiresAt || null,
+    createdAt: restriction.createdAt
+  };
+}
+
+// Sockets in the room that belong to a user (a user may have several tabs open)
+function getUserSockets(roomId, userId) {
+  const clients = io.sockets.adapter.rooms.get(roomId) || new Set();
+  return [...clients]
+    .map(clientId => io.sockets.sockets.get(clientId))
+    .filter(clientSocket => clientSocket && clientSocket.userId === userId);
+}
+
+// Send a moderator the channel's current timeouts and bans
+async function emitRestrictions(socket, channelId) {
+  const restrictions = await ChatRestriction.find(ChatRestriction.activeQuery(channelId)).sort({ createdAt: -1 });
+  socket.emit('restrictions', restrictions.map(toRestrictionPayload));
+}
+
+async function restrictUser(socket, { roomId, userId, targetUserId, targetUsername, reason, duration, type }) {
+  try {
+    if (!(await getSocketUser(socket, userId))) return;
+    const stream = type === 'ban'
+      ? await findHostedStream(socket, roomId, userId, 'Only the host can ban users')
+      : await findModeratedStream(roomId, userId);
+    if (!stream) {
+      if (type !== 'ban') socket.emit('chat-error', { message: 'Only moderators can time out users' });
+      return;
+    }
+    if (!targetUserId || targetUserId === stream.hostId) {
+      socket.emit('chat-error', { message: 'The host cannot be restricted' });
+      return;
+    }
+    
+    const targetIsModerator = await ChannelModerator.exists({ channelId: stream.hostId, userId: targetUserId });
+    if (targetIsModerator && userId !== stream.hostId) {
+      socket.emit('chat-error', { message: 'Moderators cannot restrict other moderators' });
+      return;
+    }
+    
+    let expiresAt;
+    if (type === 'timeout') {
+      const seconds = Math.min(parseInt(duration, 10) || DEFAULT_TIMEOUT_SECONDS, MAX_TIMEOUT_SECONDS);
+      expiresAt = new Date(Date.now() + Math.max(seconds, 1) * 1000);
+    }
+    
+    // A new action of the same kind replaces the old one
+    await ChatRestriction.updateMany(
+      ChatRestriction.activeQuery(stream.hostId, { userId: targetUserId, type }),
+      { liftedAt: new Date(), liftedBy: userId }
+    );
+    
+    const restriction = await ChatRestriction.create({
+      channelId: stream.hostId,
+      roomId,
+      userId: targetUserId,
+      username: targetUsername,
+      type,
+      reason,
+      expiresAt,
+      createdBy: userId
+    });
+    console.log(`User ${targetUserId} got a ${type} in room ${roomId}`);
+    
+    // A banned moderator loses the role
+    if (type === 'ban' && targetIsModerator) {
+      await ChannelModerator.deleteOne({ channelId: stream.hostId, userId: targetUserId });
+      await emitModerators(io.to(roomId), stream.hostId);
+    }
+    
+    const payload = toRestrictionPayload(restriction);
+    io.to(roomId).emit('user-restricted', payload);
+    
+    getUserSockets(roomId, targetUserId).forEach(targetSocket => {
+      if (type === 'ban') {
+        // Closing the socket also tears down their SFU subscription
+        targetSocket.emit('room-banned', { roomId, reason });
+        targetSocket.disconnect(true);
+      } else {
+        targetSocket.emit('chat-restricted', payload);
+      }
+    });
+    
+    await emitRestrictions(socket, stream.hostId);
+    return true;
+  } catch (error) {
+    console.error(`Error applying ${type}:`, error);
+    socket.emit('chat-error', { message: `Server error: ${error.message}` });
+  }
+}
+
+async function liftRestriction(socket, { roomId, userId, targetUserId, type }) {
+  try {
+    if (!(await getSocketUser(socket, userId))) return;
+    const stream = type === 'ban'
+      ? await findHostedStream(socket, roomId, userId, 'Only the host can unban users')
+      : await findModeratedStream(roomId, userId);
+    if (!stream) {
+      if (type !== 'ban') socket.emit('chat-error', { message: 'Only moderators can unmute users' });
+      return;
+    }
+    
+    await ChatRestriction.updateMany(
+      ChatRestriction.activeQuery(stream.hostId, { userId: targetUserId, type }),
+      { liftedAt: new Date(), liftedBy: userId }
+    );
+    console.log(`Lifted ${type} for user ${targetUserId} in room ${roomId}`);
+    
+    io.to(roomId).emit('user-unrestricted', { userId: targetUserId, type });
+    await emitRestrictions(socket, stream.hostId);
+  } catch (error) {
+    console.error(`Error lifting ${type}:`, error);
+    socket.emit('chat-error', { message: `Server error: ${error.message}` });
+  }
+}
+
+// Only the host of an active stream may control its restreams. The socket's
+// bound identity decides; a payload userId that doesn't match it is refused.
+async function findRestreamHost(socket, roomId, userId) {
+  await socket.registration;
+  const hostId = socket.userId && socket.userId === userId ? socket.userId : null;
+  const stream = hostId && await Stream.findOne({ roomId, hostId, active: true });
+  if (!stream) {
+    socket.emit('rtmp-stream-error', {
+      success: false,
+      message: 'Only the host of an active stream can control restreaming'
+    });
+    return null;
+  }
+  
+  return stream;
+}
+
+// Restreams fan out from the room's media ingest
+function requireIngest(socket, roomId) {
+  if (isIngesting(roomId)) {
+    return true;
+  }
+  
+  socket.emit('rtmp-stream-error', {
+    success: false,
+    message: 'No media is being received for this room yet'
+  });
+  return false;
+}
+
+// Persist which platforms are live so GET /api/rtmp/status and a refreshed
+// studio page reflect what is actually streaming
+async function saveRestreamState(streamId, dest, active) {
+  try {
+    if (!active) {
+      await RtmpDestination.updateOne({ streamId, platform: dest.platform }, { active: false });
+      return;
+    }
+    
+    let destination = await RtmpDestination.findOne({ streamId, platform: dest.platform });
+    if (!destination) {
+      destination = new RtmpDestination({ streamId, platform: dest.platform });
+    }
+    
+    destination.set({
+      name: dest.name || dest.platform,
+      url: dest.url,
+      // The chosen preset and overrides come back with the destination
+      preset: ENCODING_PRESETS[dest.preset] ? dest.preset : undefined,
+      profile: dest.profile ? sanitizeProfile(dest.profile) : undefined,
+      active: true
+    });
+    // Re-saving the encrypted key would encrypt it twice
+    if (destination.isNew || destination.getDecryptedStreamKey() !== dest.streamKey) {
+      destination.streamKey = dest.streamKey;
+    }
+    await destination.save();
+  } catch (error) {
+    console.error(`Error saving ${dest.platform} restream state:`, error);
+  }
+}
+
 // FFmpeg helper functions
-async function startRtmpStreams(roomId, destinations) {
-  const PORT = process.env.PORT || 5000;
+async function startRtmpStreams(roomId, destinations, streamId) {
+  if (!isIngesting(roomId)) {
+    console.error(`No media ingest running for room ${roomId}`);
+    return [];
+  }
   
   if (!ffmpegProcesses[roomId]) {
     ffmpegProcesses[roomId] = {};
@@ -325,11 +1815,20 @@ async function startRtmpStreams(roomId, destinations) {
       // Make sure we have the required data
       if (!dest.platform || !dest.streamKey || !dest.url) {
         console.error(`Missing required data for ${dest.platform} stream`);
+        io.to(roomId).emit('rtmp-platform-status', {
+          platform: dest.platform,
+          status: 'error',
+          error: 'Missing stream key or URL'
+        });
         continue;
       }
       
+      // Restarting a platform replaces its running job
+      if (ffmpegProcesses[roomId][dest.platform]) {
+        stopRtmpStream(roomId, dest.platform);
+      }
+      
       // Different platforms might need different FFmpeg parameters
-      const inputSource = `http://localhost:${PORT}/api/streams/${roomId}/source`;
       let rtmpUrl = '';
       
       switch (dest.platform) {
@@ -343,82 +1842,28 @@ async function startRtmpStreams(roomId, destinations) {
           rtmpUrl = `rtmp://live.twitch.tv/app/${dest.streamKey}`;
           break;
         default:
-          rtmpUrl = dest.url;
+          rtmpUrl = `${dest.url}/${dest.streamKey}`;
       }
       
-      // Update clients that we're connecting
-      io.to(roomId).emit('rtmp-platform-status', {
-        platform: dest.platform,
-        status: 'connecting'
-      });
-      
-      // Use ffmpegPath instead of 'ffmpeg'
-      console.log(`Using FFmpeg at: ${ffmpegPath}`);
-      const ffmpeg = spawn(ffmpegPath, [
-        '-i', inputSource,
-        '-c:v', 'libx264',
-        '-preset', 'veryfast',
-        '-maxrate', '3000k',
-        '-bufsize', '6000k',
-        '-framerate', '30',
-        '-c:a', 'aac',
-        '-b:a', '128k',
-        '-ar', '44100',
-        '-f', 'flv',
-        rtmpUrl
-      ]);
-      
-      // Add a timeout to check if connection was successful
-      const connectionTimeout = setTimeout(() => {
-        // If process is still running after 5 seconds, consider it connected
-        if (ffmpegProcesses[roomId]?.[dest.platform]) {
-          io.to(roomId).emit('rtmp-platform-status', {
-            platform: dest.platform,
-            status: 'connected'
-          });
-        }
-      }, 5000);
-      
-      // Log output for debugging
-      ffmpeg.stdout.on('data', (data) => {
-        console.log(`FFmpeg (${dest.platform}) stdout: ${data}`);
-      });
+      const profile = resolveEncodingProfile(dest);
+      console.log(`Encoding ${dest.platform} with ${profile.label}`);
       
-      ffmpeg.stderr.on('data', (data) => {
-        const output = data.toString();
-        console.log(`FFmpeg (${dest.platform}) stderr: ${output}`);
-        
-        // Check for common error patterns
-        if (output.includes('Connection refused') || 
-            output.includes('Invalid argument') || 
-            output.includes('Authorization failed')) {
-          
-          // Emit error to client
-          io.to(roomId).emit('rtmp-platform-status', {
-            platform: dest.platform,
-            status: 'error',
-            error: 'Connection failed. Please check your stream key.'
-          });
-          
-          // Kill the process
-          ffmpeg.kill('SIGTERM');
-          if (ffmpegProcesses[roomId]?.[dest.platform]) {
-            delete ffmpegProcesses[roomId][dest.platform];
-          }
-          
-          clearTimeout(connectionTimeout);
-        }
-      });
+      const job = startRestreamJob(roomId, dest.platform, rtmpUrl, profile);
       
-      ffmpeg.on('close', (code) => {
-        console.log(`FFmpeg process for ${dest.platform} exited with code ${code}`);
-        if (ffmpegProcesses[roomId]?.[dest.platform]) {
+      job.on('done', () => {
+        const current = ffmpegProcesses[roomId]?.[dest.platform];
+        if (current === job) {
           delete ffmpegProcesses[roomId][dest.platform];
         }
+        // A replacement job for the same platform is still live
+        if (!current || current === job) {
+          saveRestreamState(streamId, dest, false);
+        }
       });
       
-      // Store process reference
-      ffmpegProcesses[roomId][dest.platform] = ffmpeg;
+      // Store job reference
+      ffmpegProcesses[roomId][dest.platform] = job;
+      saveRestreamState(streamId, dest, true);
       
       // Track active stream
       activeStreams.push({
@@ -446,14 +1891,14 @@ function stopRtmpStream(roomId, platform) {
   
   // If platform specified, stop only that stream
   if (platform && ffmpegProcesses[roomId][platform]) {
-    ffmpegProcesses[roomId][platform].kill('SIGTERM');
+    ffmpegProcesses[roomId][platform].stop();
     delete ffmpegProcesses[roomId][platform];
     return { success: true, message: `Stopped ${platform} stream` };
   } 
   // Otherwise stop all streams for this room
   else if (!platform) {
     Object.keys(ffmpegProcesses[roomId]).forEach(p => {
-      ffmpegProcesses[roomId][p].kill('SIGTERM');
+      ffmpegProcesses[roomId][p].stop();
     });
     delete ffmpegProcesses[roomId];
     return { success: true, message: 'Stopped all streams' };
@@ -462,14 +1907,228 @@ function stopRtmpStream(roomId, platform) {
   return { success: false, message: 'Stream not found' };
 }
 
+// Run an FFmpeg job that reads the room's MPEG-TS ingest on stdin, attaching
+// each (re)started process to the ingest and only restarting while it runs
+function superviseFromIngest(label, roomId, args, options = {}) {
+  const job = superviseFfmpeg(label, args, {
+    ...options,
+    shouldRestart: () => isIngesting(roomId)
+  });
+  
+  job.on('start', ({ process: ffmpeg }) => {
+    if (!attachIngestConsumer(roomId, ffmpeg.stdin)) {
+      // The ingest is gone; without input the process exits on its own
+      ffmpeg.stdin.end();
+    }
+  });
+  
+  return job;
+}
+
+// Encode the room's ingest to an external platform and relay the job's
+// lifecycle and stats to the room as rtmp-platform-status updates
+function startRestreamJob(roomId, platform, outputUrl, profile) {
+  const job = superviseFromIngest(`${platform} ${roomId}`, roomId, buildEncodingArgs(profile, outputUrl));
+  
+  const emitStatus = (status, details = {}) => {
+    job.restreamStatus = status;
+    io.to(roomId).emit('rtmp-platform-status', { platform, status, ...details });
+  };
+  
+  job.on('start', ({ attempt }) => emitStatus('connecting', { attempt }));
+  job.on('connected', (stats) => emitStatus('connected', { stats }));
+  job.on('stats', (stats) => emitStatus('connected', { stats }));
+  job.on('restarting', ({ attempt, delay, error }) => {
+    emitStatus('reconnecting', { attempt, delay, error });
+  });
+  job.on('failed', ({ error }) => emitStatus('error', { error }));
+  job.on('done', ({ failed }) => {
+    if (!failed) emitStatus('idle');
+  });
+  
+  return job;
+}
+
+async function startHlsPackaging(roomId) {
+  if (hlsProcesses[roomId]) {
+    return hlsProcesses[roomId];
+  }
+  
+  let renditions = null;
+  try {
+    const stream = await Stream.findOne({ roomId });
+    renditions = stream?.renditions;
+  } catch (error) {
+    console.error(`Error loading renditions for room ${roomId}, using defaults:`, error);
+  }
+  
+  // The ingest may have stopped (or another job started) while we looked up the ladder
+  if (hlsProcesses[roomId] || !isIngesting(roomId)) {
+    return hlsProcesses[roomId] || null;
+  }
+  
+  const outputDir = path.join(HLS_DIR, roomId);
+  fs.mkdirSync(outputDir, { recursive: true });
+  
+  // Transcode the ingest into every rendition of the stream's ladder
+  const job = superviseFromIngest(`HLS ${roomId}`, roomId, buildHlsLadderArgs(renditions, outputDir));
+  
+  job.on('done', () => {
+    if (hlsProcesses[roomId] === job) {
+      delete hlsProcesses[roomId];
+    }
+    
+    // Segments are only useful while the room is live
+    if (!hlsProcesses[roomId]) {
+      fs.rm(outputDir, { recursive: true, force: true }, (err) => {
+        if (err) console.error(`Error removing HLS output for room ${roomId}:`, err);
+      });
+    }
+  });
+  
+  hlsProcesses[roomId] = job;
+  return job;
+}
+
+function stopHlsPackaging(roomId) {
+  if (!hlsProcesses[roomId]) {
+    return false;
+  }
+  
+  hlsProcesses[roomId].stop();
+  delete hlsProcesses[roomId];
+  return true;
+}
+
+async function startRecording(roomId) {
+  if (recordingProcesses[roomId]) {
+    return recordingProcesses[roomId];
+  }
+  
+  try {
+    const stream = await Stream.findOne({ roomId, active: true });
+    if (!stream || !stream.record) {
+      return null;
+    }
+    
+    // The ingest may have stopped while we looked up the stream
+    if (recordingProcesses[roomId] || !isIngesting(roomId)) {
+      return recordingProcesses[roomId] || null;
+    }
+    
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    
+    const recording = new Recording({
+      streamId: stream._id,
+      roomId,
+      title: stream.title,
+      filePath: ''
+    });
+    recording.filePath = path.join(RECORDINGS_DIR, `${recording._id}.mp4`);
+    await recording.save();
+    
+    console.log(`Recording room ${roomId} to ${recording.filePath}`);
+    
+    // Ingest is already H.264/AAC, so the recording is a plain remux. A
+    // restart would overwrite the file, so a crashed recording just fails.
+    const job = superviseFromIngest(`recording ${roomId}`, roomId, [
+      '-f', 'mpegts',
+      '-i', 'pipe:0',
+      '-c', 'copy',
+      '-movflags', '+faststart',
+      '-y',
+      recording.filePath
+    ], { restart: false, stdinInput: true });
+    
+    job.on('done', async ({ failed }) => {
+      if (recordingProcesses[roomId] === job) {
+        delete recordingProcesses[roomId];
+      }
+      
+      try {
+        const endedAt = new Date();
+        const size = fs.existsSync(recording.filePath) ? fs.statSync(recording.filePath).size : 0;
+        
+        await Recording.updateOne({ _id: recording._id }, {
+          status: !failed && size > 0 ? 'ready' : 'failed',
+          size,
+          duration: Math.round((endedAt - recording.startedAt) / 1000),
+          endedAt
+        });
+      } catch (error) {
+        console.error(`Error finalizing recording for room ${roomId}:`, error);
+      }
+    });
+    
+    recordingProcesses[roomId] = job;
+    return job;
+  } catch (error) {
+    console.error(`Error starting recording for room ${roomId}:`, error);
+    return null;
+  }
+}
+
+function stopRecording(roomId) {
+  if (!recordingProcesses[roomId]) {
+    return false;
+  }
+  
+  // Ending stdin lets FFmpeg write the MP4 index before exiting
+  recordingProcesses[roomId].stop();
+  return true;
+}
+
+function startThumbnails(roomId) {
+  if (thumbnailProcesses[roomId]) {
+    return thumbnailProcesses[roomId];
+  }
+  
+  fs.mkdirSync(THUMBNAILS_DIR, { recursive: true });
+  const thumbnailPath = path.join(THUMBNAILS_DIR, `${roomId}.jpg`);
+  
+  // Overwrite a single JPEG every THUMBNAIL_INTERVAL seconds
+  const job = superviseFromIngest(`thumbnails ${roomId}`, roomId, [
+    '-f', 'mpegts',
+    '-i', 'pipe:0',
+    '-an',
+    '-vf', `fps=1/${THUMBNAIL_INTERVAL},scale=640:-2`,
+    '-q:v', '5',
+    '-update', '1',
+    '-y',
+    thumbnailPath
+  ]);
+  
+  job.on('done', () => {
+    if (thumbnailProcesses[roomId] === job) {
+      delete thumbnailProcesses[roomId];
+    }
+    
+    // A stale snapshot would misrepresent the next broadcast in this room
+    if (!thumbnailProcesses[roomId]) {
+      fs.rm(thumbnailPath, { force: true }, (err) => {
+        if (err) console.error(`Error removing thumbnail for room ${roomId}:`, err);
+      });
+    }
+  });
+  
+  thumbnailProcesses[roomId] = job;
+  return job;
+}
+
+function stopThumbnails(roomId) {
+  if (!thumbnailProcesses[roomId]) {
+    return false;
+  }
+  
+  thumbnailProcesses[roomId].stop();
+  delete thumbnailProcesses[roomId];
+  return true;
+}
+
 // Clean up FFmpeg processes on server shutdown
 process.on('SIGINT', () => {
   console.log('Shutting down, cleaning up FFmpeg processes...');
-  Object.keys(ffmpegProcesses).forEach(roomId => {
-    Object.keys(ffmpegProcesses[roomId]).forEach(platform => {
-      ffmpegProcesses[roomId][platform].kill('SIGTERM');
-    });
-  });
+  stopAllFfmpegJobs();
   process.exit(0);
 });
 
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { FILTER_ACTIONS, MAX_PATTERN_LENGTH } = require('../src/wordFilter');
+
+// A word or regex the channel's chat filter acts on. Like the moderator
+// roster, the list belongs to the channel (the host's id).
+const BlockedTermSchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true
+  },
+  pattern: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_PATTERN_LENGTH
+  },
+  // Plain terms match whole words, case-insensitively
+  isRegex: {
+    type: Boolean,
+    default: false
+  },
+  // drop: reject the message; mask: replace the match with asterisks;
+  // hold: keep it from the room until a moderator approves it
+  action: {
+    type: String,
+    enum: FILTER_ACTIONS,
+    default: 'mask'
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+BlockedTermSchema.index({ channelId: 1, pattern: 1, isRegex: 1 }, { unique: true });
+
+module.exports = mongoose.models.BlockedTerm || mongoose.model('BlockedTerm', BlockedTermSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A user the host has made a moderator. Like restrictions, the roster belongs
+// to the channel (the host's id) and carries over to the host's next streams.
+const ChannelModeratorSchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  username: String,
+  addedBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ChannelModeratorSchema.index({ channelId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.models.ChannelModerator || mongoose.model('ChannelModerator', ChannelModeratorSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// Snapshot of the message being replied to, so the quote survives edits to
+// the chat (and deletion of the original)
+const ReplySchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true
+  },
+  userId: String,
+  username: String,
+  text: String
+}, { _id: false });
+
+const ChatMessageSchema = new mongoose.Schema({
+  // Id the client generated, used by reactions and deletions
+  messageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String,
+    default: 'Anonymous'
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  // Emoji -> ids of the users who reacted with it; reacting again removes it
+  reactions: {
+    type: Map,
+    of: [String],
+    default: {}
+  },
+  replyTo: {
+    type: ReplySchema,
+    default: undefined
+  },
+  // Ids of the users @mentioned in the text
+  mentions: {
+    type: [String],
+    default: []
+  },
+  // Caught by the chat filter and waiting for a moderator; hidden until approved
+  held: {
+    type: Boolean,
+    default: false
+  },
+  // Deleted messages are kept for moderation but hidden from history
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedBy: String,
+  deletedAt: Date,
+  // Milliseconds since the stream started, for replaying chat over recordings
+  offset: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// History is read newest-first per room
+ChatMessageSchema.index({ roomId: 1, _id: -1 });
+// Replay reads a window of a room's chat by offset
+ChatMessageSchema.index({ roomId: 1, offset: 1 });
+
+// Reaction counts in the order they were first used. Pass a user id to also
+// flag the reactions that user has added.
+ChatMessageSchema.methods.summarizeReactions = function(viewerId) {
+  return Array.from(this.reactions || [], ([reaction, userIds]) => ({
+    reaction,
+    count: userIds.length,
+    ...(viewerId ? { reacted: userIds.includes(viewerId) } : {})
+  })).filter(({ count }) => count > 0);
+};
+
+// Shape sent to ChatPanel, matching what clients emit in 'send-chat-message'
+ChatMessageSchema.methods.toChatPayload = function(viewerId) {
+  return {
+    id: this.messageId,
+    cursor: this._id.toString(),
+    roomId: this.roomId,
+    userId: this.userId,
+    username: this.username,
+    text: this.text,
+    timestamp: this.createdAt.toISOString(),
+    reactions: this.summarizeReactions(viewerId),
+    replyTo: this.replyTo
+      ? { messageId: this.replyTo.messageId, userId: this.replyTo.userId, username: this.replyTo.username, text: this.replyTo.text }
+      : null,
+    mentions: this.mentions
+  };
+};
+
+// Recent chatters in a room, newest first - used for @mention autocomplete
+// and to resolve mentions in new messages
+ChatMessageSchema.statics.findChatters = function(roomId, limit = 200) {
+  return this.aggregate([
+    { $match: { roomId, deleted: false } },
+    { $sort: { _id: -1 } },
+    { $limit: limit * 5 },
+    { $group: { _id: '$userId', username: { $first: '$username' }, lastId: { $first: '$_id' } } },
+    { $sort: { lastId: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, userId: '$_id', username: 1 } }
+  ]);
+};
+
+module.exports = mongoose.models.ChatMessage || mongoose.model('ChatMessage', ChatMessageSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A moderation action against a user in a channel. Channels are keyed by the
+// host's id, so a ban outlives the stream it was issued in.
+const ChatRestrictionSchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true
+  },
+  // Room the action was taken in
+  roomId: String,
+  userId: {
+    type: String,
+    required: true
+  },
+  username: String,
+  // timeout: can watch but not chat until expiresAt; ban: can't join at all
+  type: {
+    type: String,
+    required: true,
+    enum: ['timeout', 'ban']
+  },
+  reason: String,
+  // Unset for permanent bans
+  expiresAt: Date,
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a moderator unmutes/unbans; kept for the moderation record
+  liftedAt: Date,
+  liftedBy: String
+});
+
+ChatRestrictionSchema.index({ channelId: 1, userId: 1, liftedAt: 1 });
+
+// Restrictions that haven't been lifted or run out
+ChatRestrictionSchema.statics.activeQuery = function(channelId, extra = {}) {
+  return {
+    channelId,
+    liftedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    ...extra
+  };
+};
+
+// The user's strongest active restriction: a ban beats a timeout
+ChatRestrictionSchema.statics.findActiveFor = async function(channelId, userId) {
+  const restrictions = await this.find(this.activeQuery(channelId, { userId }));
+  return restrictions.find(r => r.type === 'ban') || restrictions[0] || null;
+};
+
+module.exports = mongoose.models.ChatRestriction || mongoose.model('ChatRestriction', ChatRestrictionSchema);
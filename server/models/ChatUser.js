@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// First time a user id joined a room. Ids are generated by the client, so
+// this is as close to an account age as chat modes can get.
+const ChatUserSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.models.ChatUser || mongoose.model('ChatUser', ChatUserSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'sexual', 'violence', 'other'];
+
+// How a moderator closed a report: approve keeps the message, dismiss closes
+// the report as unfounded, delete removes the message, ban removes its author
+const REPORT_RESOLUTIONS = ['approve', 'dismiss', 'delete', 'ban'];
+
+// A viewer's report of a chat message, queued per channel for moderators
+const MessageReportSchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  messageId: {
+    type: String,
+    required: true
+  },
+  // Copied from the message so the record survives its deletion
+  messageText: String,
+  messageUserId: {
+    type: String,
+    required: true
+  },
+  messageUsername: String,
+  reportedBy: {
+    type: String,
+    required: true
+  },
+  reporterUsername: String,
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    type: String,
+    enum: REPORT_RESOLUTIONS
+  },
+  handledBy: String,
+  handledByUsername: String,
+  handledAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One report per viewer per message
+MessageReportSchema.index({ messageId: 1, reportedBy: 1 }, { unique: true });
+MessageReportSchema.index({ channelId: 1, status: 1, createdAt: -1 });
+
+MessageReportSchema.statics.REASONS = REPORT_REASONS;
+MessageReportSchema.statics.RESOLUTIONS = REPORT_RESOLUTIONS;
+
+// Shape sent to the moderators' report queue
+MessageReportSchema.methods.toReportPayload = function() {
+  return {
+    id: this._id.toString(),
+    roomId: this.roomId,
+    messageId: this.messageId,
+    messageText: this.messageText,
+    messageUserId: this.messageUserId,
+    messageUsername: this.messageUsername,
+    reportedBy: this.reportedBy,
+    reporterUsername: this.reporterUsername,
+    reason: this.reason,
+    details: this.details,
+    status: this.status,
+    resolution: this.resolution || null,
+    handledBy: this.handledBy || null,
+    handledByUsername: this.handledByUsername || null,
+    handledAt: this.handledAt || null,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.models.MessageReport || mongoose.model('MessageReport', MessageReportSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const ANNOUNCEMENT_STYLES = ['info', 'warning', 'celebration'];
+
+// What's shown at the top of a room's chat: a pinned chat message or a host
+// announcement. A room has at most one active pin; pinning something new
+// unpins the previous one.
+const PinnedMessageSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['message', 'announcement'],
+    required: true
+  },
+  // The chat message, for kind 'message'
+  messageId: String,
+  userId: String,
+  username: String,
+  text: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  style: {
+    type: String,
+    enum: ANNOUNCEMENT_STYLES,
+    default: 'info'
+  },
+  pinnedBy: {
+    type: String,
+    required: true
+  },
+  // Unset to stay until unpinned
+  expiresAt: Date,
+  unpinnedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PinnedMessageSchema.index({ roomId: 1, unpinnedAt: 1 });
+
+PinnedMessageSchema.statics.STYLES = ANNOUNCEMENT_STYLES;
+
+// Pins that haven't been taken down or run out
+PinnedMessageSchema.statics.activeQuery = function(roomId, extra = {}) {
+  return {
+    roomId,
+    unpinnedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    ...extra
+  };
+};
+
+PinnedMessageSchema.statics.findActive = function(roomId) {
+  return this.findOne(this.activeQuery(roomId)).sort({ createdAt: -1 });
+};
+
+PinnedMessageSchema.methods.toPinPayload = function() {
+  return {
+    id: this._id.toString(),
+    kind: this.kind,
+    messageId: this.messageId || null,
+    userId: this.userId || null,
+    username: this.username || null,
+    text: this.text,
+    style: this.style,
+    expiresAt: this.expiresAt || null,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.models.PinnedMessage || mongoose.model('PinnedMessage', PinnedMessageSchema);
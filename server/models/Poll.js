@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Bounds checked when a host creates a poll
+const POLL_LIMITS = {
+  minOptions: 2,
+  maxOptions: 6,
+  questionLength: 200,
+  optionLength: 80,
+  // Seconds
+  minDuration: 15,
+  maxDuration: 60 * 60
+};
+
+const PollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: POLL_LIMITS.optionLength
+  },
+  votes: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// A multiple-choice poll run during a stream. Tallies live on the options;
+// who voted is kept in PollVote so each viewer votes once.
+const PollSchema = new mongoose.Schema({
+  streamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: POLL_LIMITS.questionLength
+  },
+  options: {
+    type: [PollOptionSchema],
+    validate: {
+      validator: options => options.length >= POLL_LIMITS.minOptions && options.length <= POLL_LIMITS.maxOptions,
+      message: `Polls need ${POLL_LIMITS.minOptions} to ${POLL_LIMITS.maxOptions} options`
+    }
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the host ends the poll early
+  closedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PollSchema.index({ roomId: 1, createdAt: -1 });
+PollSchema.index({ streamId: 1, createdAt: 1 });
+
+PollSchema.statics.LIMITS = POLL_LIMITS;
+
+PollSchema.methods.isOpen = function() {
+  return !this.closedAt && this.endsAt > new Date();
+};
+
+PollSchema.methods.toPollPayload = function() {
+  return {
+    id: this._id.toString(),
+    roomId: this.roomId,
+    question: this.question,
+    options: this.options.map(({ text, votes }) => ({ text, votes })),
+    totalVotes: this.options.reduce((total, option) => total + option.votes, 0),
+    endsAt: this.endsAt,
+    closed: !this.isOpen(),
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.models.Poll || mongoose.model('Poll', PollSchema);
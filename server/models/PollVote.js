@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One viewer's vote in a poll; the unique index is what stops double voting
+const PollVoteSchema = new mongoose.Schema({
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  optionIndex: {
+    type: Number,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PollVoteSchema.index({ pollId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.models.PollVote || mongoose.model('PollVote', PollVoteSchema);
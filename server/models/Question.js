@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const QUESTION_STATUSES = ['open', 'answering', 'answered'];
+
+// A viewer question in a room's Q&A tab
+const QuestionSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String,
+    default: 'Anonymous'
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  // Who upvoted, so each viewer counts once; votes mirrors its length for sorting
+  voters: {
+    type: [String],
+    default: []
+  },
+  votes: {
+    type: Number,
+    default: 0
+  },
+  // The host moves questions to answering (highlighted for everyone) and then answered
+  status: {
+    type: String,
+    enum: QUESTION_STATUSES,
+    default: 'open'
+  },
+  answeredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+QuestionSchema.index({ roomId: 1, votes: -1, createdAt: 1 });
+
+QuestionSchema.statics.STATUSES = QUESTION_STATUSES;
+
+// Voters stay server-side; clients only learn whether they voted themselves
+QuestionSchema.methods.toQuestionPayload = function(viewerId) {
+  return {
+    id: this._id.toString(),
+    roomId: this.roomId,
+    userId: this.userId,
+    username: this.username,
+    text: this.text,
+    votes: this.votes,
+    status: this.status,
+    answeredAt: this.answeredAt || null,
+    createdAt: this.createdAt,
+    ...(viewerId ? { upvoted: this.voters.includes(viewerId) } : {})
+  };
+};
+
+module.exports = mongoose.models.Question || mongoose.model('Question', QuestionSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const RecordingSchema = new mongoose.Schema({
+  streamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  // Size in bytes and duration in seconds, filled in when recording ends
+  size: {
+    type: Number,
+    default: 0
+  },
+  duration: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['recording', 'ready', 'failed'],
+    default: 'recording'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.models.Recording || mongoose.model('Recording', RecordingSchema);
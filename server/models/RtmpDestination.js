@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { ENCODING_PRESETS, PROFILE_LIMITS, SAMPLE_RATES } = require('../src/encodingPresets');
+
+// Per-field overrides on top of the destination's preset (kbps / seconds)
+const EncodingProfileSchema = new mongoose.Schema({
+  width: { type: Number, min: PROFILE_LIMITS.width[0], max: PROFILE_LIMITS.width[1] },
+  height: { type: Number, min: PROFILE_LIMITS.height[0], max: PROFILE_LIMITS.height[1] },
+  framerate: { type: Number, min: PROFILE_LIMITS.framerate[0], max: PROFILE_LIMITS.framerate[1] },
+  videoBitrate: { type: Number, min: PROFILE_LIMITS.videoBitrate[0], max: PROFILE_LIMITS.videoBitrate[1] },
+  keyframeInterval: { type: Number, min: PROFILE_LIMITS.keyframeInterval[0], max: PROFILE_LIMITS.keyframeInterval[1] },
+  audioBitrate: { type: Number, min: PROFILE_LIMITS.audioBitrate[0], max: PROFILE_LIMITS.audioBitrate[1] },
+  sampleRate: { type: Number, enum: SAMPLE_RATES }
+}, { _id: false });
 
 const RtmpDestinationSchema = new mongoose.Schema({
   streamId: {
@@ -24,6 +36,14 @@ const RtmpDestinationSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  preset: {
+    type: String,
+    enum: Object.keys(ENCODING_PRESETS)
+  },
+  profile: {
+    type: EncodingProfileSchema,
+    default: undefined
+  },
   active: {
     type: Boolean,
     default: false
@@ -34,12 +54,19 @@ const RtmpDestinationSchema = new mongoose.Schema({
   }
 });
 
+// aes-256-cbc needs a 32-byte key. A 32-byte ENCRYPTION_KEY is used as-is so
+// keys saved with it keep decrypting; any other secret (including the default)
+// is hashed down to 32 bytes.
+function getEncryptionKey() {
+  const secret = Buffer.from(process.env.ENCRYPTION_KEY || 'defaultkeydefaultkey', 'utf8');
+  return secret.length === 32 ? secret : crypto.createHash('sha256').update(secret).digest();
+}
+
 // Encrypt stream keys before saving
 RtmpDestinationSchema.pre('save', function(next) {
   if (this.isModified('streamKey')) {
     try {
-      // Use environment variable for the encryption key
-      const ENCRYPTION_KEY = Buffer.from(process.env.ENCRYPTION_KEY || 'defaultkeydefaultkey', 'utf8');
+      const ENCRYPTION_KEY = getEncryptionKey();
       const iv = crypto.randomBytes(16);
       
       const cipher = crypto.createCipheriv('aes-256-cbc', ENCRYPTION_KEY, iv);
@@ -58,7 +85,7 @@ RtmpDestinationSchema.pre('save', function(next) {
 // Add a method to decrypt stream keys when needed
 RtmpDestinationSchema.methods.getDecryptedStreamKey = function() {
   try {
-    const ENCRYPTION_KEY = Buffer.from(process.env.ENCRYPTION_KEY || 'defaultkeydefaultkey', 'utf8');
+    const ENCRYPTION_KEY = getEncryptionKey();
     const parts = this.streamKey.split(':');
     const iv = Buffer.from(parts[0], 'hex');
     const encryptedText = parts[1];
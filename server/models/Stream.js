@@ -1,4 +1,51 @@
 const mongoose = require('mongoose');
+const { DEFAULT_LADDER, MAX_RENDITIONS } = require('../src/hlsLadder');
+const { CHAT_MODE_LIMITS } = require('../src/chatModes');
+
+// One HLS rendition; bitrates are in kbps and audio-only renditions omit height
+const RenditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  height: {
+    type: Number,
+    min: 144,
+    max: 2160
+  },
+  videoBitrate: {
+    type: Number,
+    min: 100,
+    required: function() {
+      return !!this.height;
+    }
+  },
+  audioBitrate: {
+    type: Number,
+    min: 32,
+    default: 128
+  }
+}, { _id: false });
+
+// Chat restrictions moderators can switch on; see src/chatModes
+const ChatModesSchema = new mongoose.Schema({
+  // Seconds each user must wait between messages
+  slowMode: {
+    type: Number,
+    ...CHAT_MODE_LIMITS.slowMode,
+    default: 0
+  },
+  emoteOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Minutes since a user id was first seen before it may chat
+  minAccountAge: {
+    type: Number,
+    ...CHAT_MODE_LIMITS.minAccountAge,
+    default: 0
+  }
+}, { _id: false });
 
 const StreamSchema = new mongoose.Schema({
   title: {
@@ -19,6 +66,44 @@ const StreamSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Where the media comes from: the host's browser or an RTMP encoder like OBS
+  source: {
+    type: String,
+    enum: ['browser', 'rtmp'],
+    default: 'browser'
+  },
+  // Whether media is actually flowing; RTMP streams go live on publish
+  live: {
+    type: Boolean,
+    default: false
+  },
+  // Secret key RTMP encoders publish with - never returned from list queries
+  ingestKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // Record the session to disk for the VOD library
+  record: {
+    type: Boolean,
+    default: false
+  },
+  // Adaptive bitrate ladder packaged for HLS viewers
+  renditions: {
+    type: [RenditionSchema],
+    default: () => DEFAULT_LADDER.map(rendition => ({ ...rendition })),
+    validate: {
+      validator: renditions => renditions.length <= MAX_RENDITIONS,
+      message: `A ladder can have at most ${MAX_RENDITIONS} renditions`
+    }
+  },
+  chatModes: {
+    type: ChatModesSchema,
+    default: () => ({})
+  },
+  // When media first started flowing; chat offsets are measured from here
+  startedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { verifyIdentity, issueIdentity } = require('../src/identity');
+
+// Hand out a user id and its token. A client sends back what it has saved:
+// if that still verifies it's kept, otherwise (first visit, or the server's
+// secret changed) it gets a fresh id.
+router.post('/', (req, res) => {
+  try {
+    const { userId, token } = req.body || {};
+    if (verifyIdentity(userId, token)) {
+      return res.json({ userId, token });
+    }
+
+    res.status(201).json(issueIdentity());
+  } catch (error) {
+    console.error('Error issuing identity:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
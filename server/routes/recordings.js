@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const Recording = require('../models/Recording');
+const Stream = require('../models/Stream');
+const ChatMessage = require('../models/ChatMessage');
+
+// Longest window of chat replay returned per request, in seconds
+const MAX_REPLAY_WINDOW = 600;
+
+// List recordings, optionally filtered by stream or status
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.streamId) {
+      query.streamId = req.query.streamId;
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const recordings = await Recording.find(query).sort({ createdAt: -1 });
+    res.json(recordings);
+  } catch (error) {
+    console.error('Error fetching recordings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get recording by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ message: 'Recording not found' });
+    }
+    res.json(recording);
+  } catch (error) {
+    console.error('Error fetching recording:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Chat sent during the recording, for replaying next to the video. Returns
+// messages from `from` up to `to` seconds into the recording, each with
+// `replayAt` - its time in the video, in seconds.
+router.get('/:id/chat', async (req, res) => {
+  try {
+    const from = Math.max(parseFloat(req.query.from) || 0, 0);
+    const to = Math.min(parseFloat(req.query.to) || from + MAX_REPLAY_WINDOW, from + MAX_REPLAY_WINDOW);
+
+    const recording = await Recording.findById(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ message: 'Recording not found' });
+    }
+    const stream = await Stream.findById(recording.streamId).select('startedAt createdAt');
+    if (!stream) {
+      return res.json({ messages: [] });
+    }
+
+    // Chat offsets count from the stream's start, which can be before the recording's
+    const recordingOffset = recording.startedAt - (stream.startedAt || stream.createdAt);
+    const messages = await ChatMessage.find({
+      roomId: recording.roomId,
+      deleted: false,
+      held: { $ne: true },
+      offset: { $gte: recordingOffset + from * 1000, $lt: recordingOffset + to * 1000 }
+    }).sort({ offset: 1 });
+
+    res.json({
+      messages: messages.map(message => ({
+        ...message.toChatPayload(),
+        replayAt: (message.offset - recordingOffset) / 1000
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching chat replay:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stream the recorded file to the VOD player (sendFile handles range requests)
+router.get('/:id/video', async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.id);
+    if (!recording || recording.status !== 'ready') {
+      return res.status(404).json({ message: 'Recording not available' });
+    }
+
+    res.sendFile(recording.filePath, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ message: 'Recording file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Error serving recording:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a recording and its file
+router.delete('/:id', async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ message: 'Recording not found' });
+    }
+
+    if (recording.status === 'recording') {
+      return res.status(409).json({ message: 'Recording is still in progress' });
+    }
+
+    try {
+      await fs.promises.unlink(recording.filePath);
+    } catch (err) {
+      // Nothing to clean up if the file is already gone
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    await recording.deleteOne();
+    res.json({ message: 'Recording deleted' });
+  } catch (error) {
+    console.error('Error deleting recording:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
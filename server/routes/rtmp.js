@@ -2,6 +2,15 @@ const express = require('express');
 const router = express.Router();
 const Stream = require('../models/Stream');
 const RtmpDestination = require('../models/RtmpDestination');
+const { ENCODING_PRESETS, DEFAULT_PRESETS } = require('../src/encodingPresets');
+
+// List the encoding presets hosts can pick for a destination
+router.get('/presets', (req, res) => {
+  res.json({
+    presets: Object.entries(ENCODING_PRESETS).map(([id, preset]) => ({ id, ...preset })),
+    defaults: DEFAULT_PRESETS
+  });
+});
 
 // Get all RTMP destinations for a stream
 router.get('/destinations/:streamId', async (req, res) => {
@@ -17,7 +26,7 @@ router.get('/destinations/:streamId', async (req, res) => {
 // Add a new RTMP destination
 router.post('/destinations', async (req, res) => {
   try {
-    const { streamId, platform, name, url, streamKey } = req.body;
+    const { streamId, platform, name, url, streamKey, preset, profile } = req.body;
     
     // Validate the stream exists
     const stream = await Stream.findById(streamId);
@@ -30,12 +39,17 @@ router.post('/destinations', async (req, res) => {
       platform,
       name,
       url,
-      streamKey
+      streamKey,
+      preset,
+      profile
     });
     
     await destination.save();
     res.status(201).json(destination);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error creating RTMP destination:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -44,12 +58,15 @@ router.post('/destinations', async (req, res) => {
 // Update an RTMP destination
 router.put('/destinations/:id', async (req, res) => {
   try {
-    const { active } = req.body;
+    const update = {};
+    ['active', 'preset', 'profile'].forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
     
     const destination = await RtmpDestination.findByIdAndUpdate(
       req.params.id,
-      { active },
-      { new: true }
+      update,
+      { new: true, runValidators: true }
     );
     
     if (!destination) {
@@ -58,6 +75,9 @@ router.put('/destinations/:id', async (req, res) => {
     
     res.json(destination);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error updating RTMP destination:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -1,18 +1,61 @@
 const express = require('express');
 const router = express.Router();
 const Stream = require('../models/Stream');
+const ChatMessage = require('../models/ChatMessage');
+const Poll = require('../models/Poll');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const path = require('path');
+const { once } = require('events');
 const { v4: uuidv4 } = require('uuid');
-const { spawn } = require('child_process');
-const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const { isIngesting, attachIngestConsumer } = require('../src/mediaIngest');
+const { HLS_DIR, THUMBNAILS_DIR } = require('../src/mediaPaths');
+const { verifyIdentity } = require('../src/identity');
+const { EXPORT_FORMATS, toExportEntry } = require('../src/chatExport');
+const { MAX_RENDITIONS } = require('../src/hlsLadder');
+
+// Load the stream in `req.params.id` if the request carries its host's
+// identity token as X-Identity-Token. Otherwise responds and returns null.
+async function findHostedStream(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid stream id' });
+    return null;
+  }
+  
+  const stream = await Stream.findById(req.params.id);
+  if (!stream) {
+    res.status(404).json({ message: 'Stream not found' });
+    return null;
+  }
+  if (!verifyIdentity(stream.hostId, req.get('X-Identity-Token'))) {
+    res.status(403).json({ message: 'Only the host can change this stream' });
+    return null;
+  }
+  return stream;
+}
+
 // Create a new stream
 router.post('/', async (req, res) => {
   try {
-    const { title, hostId } = req.body;
+    const { title, hostId, token, source = 'browser', renditions, record = false } = req.body;
+    
+    // Host ids are public, so the host proves it's theirs with the token from
+    // POST /api/identity
+    if (!verifyIdentity(hostId, token)) {
+      return res.status(403).json({ message: 'Could not verify your identity' });
+    }
     
     const stream = new Stream({
       title,
       hostId,
-      roomId: uuidv4()
+      source,
+      record,
+      // Falls back to the schema's default ladder when not provided
+      renditions,
+      roomId: uuidv4(),
+      // Browser hosts are publishing as soon as the stream exists
+      live: source !== 'rtmp',
+      ingestKey: crypto.randomBytes(16).toString('hex')
     });
 
     await stream.save();
@@ -23,10 +66,15 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all active streams
+// Get all active streams that are currently live
 router.get('/', async (req, res) => {
   try {
-    const streams = await Stream.find({ active: true }).sort({ createdAt: -1 });
+    const query = { active: true, live: { $ne: false } };
+    if (req.query.roomId) {
+      query.roomId = req.query.roomId;
+    }
+    
+    const streams = await Stream.find(query).sort({ createdAt: -1 });
     res.json(streams);
   } catch (error) {
     console.error('Error fetching streams:', error);
@@ -48,18 +96,15 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// End a stream
+// End a stream. Host only: send the host's identity token as X-Identity-Token.
 router.patch('/:id/end', async (req, res) => {
   try {
-    const stream = await Stream.findByIdAndUpdate(
-      req.params.id,
-      { active: false },
-      { new: true }
-    );
+    const stream = await findHostedStream(req, res);
+    if (!stream) return;
     
-    if (!stream) {
-      return res.status(404).json({ message: 'Stream not found' });
-    }
+    stream.active = false;
+    stream.live = false;
+    await stream.save();
     
     res.json(stream);
   } catch (error) {
@@ -68,7 +113,35 @@ router.patch('/:id/end', async (req, res) => {
   }
 });
 
-// Add this new route to provide the stream source for FFmpeg
+// Update the HLS rendition ladder - applies the next time the room goes live.
+// Host only, like ending the stream.
+router.patch('/:id/renditions', async (req, res) => {
+  try {
+    const { renditions } = req.body;
+    if (!Array.isArray(renditions) || renditions.length === 0) {
+      return res.status(400).json({ message: 'At least one rendition is required' });
+    }
+    if (renditions.length > MAX_RENDITIONS) {
+      return res.status(400).json({ message: `A ladder can have at most ${MAX_RENDITIONS} renditions` });
+    }
+    
+    const stream = await findHostedStream(req, res);
+    if (!stream) return;
+    
+    stream.renditions = renditions;
+    await stream.save();
+    
+    res.json(stream);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating renditions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Serve the room's live media (MPEG-TS) from the ingest pipeline
 router.get('/:roomId/source', async (req, res) => {
   try {
     const { roomId } = req.params;
@@ -79,41 +152,175 @@ router.get('/:roomId/source', async (req, res) => {
       return res.status(404).send('Stream not found or inactive');
     }
 
+    if (!isIngesting(roomId)) {
+      return res.status(404).send('No media is being received for this stream');
+    }
+
     // Set appropriate headers for video streaming
-    res.setHeader('Content-Type', 'video/webm');
+    res.setHeader('Content-Type', 'video/mp2t');
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('Cache-Control', 'no-cache');
     
-    // Instead of using a placeholder URL, you need to implement
-    // a method to access your WebRTC stream directly
+    const detachIngest = attachIngestConsumer(roomId, res);
     
-    // Option 1: If you have media server with API access point:
-    const mediaServerStreamUrl = `http://localhost:8000/streams/${roomId}`;
+    req.on('close', () => {
+      if (detachIngest) detachIngest();
+    });
     
-    // OR Option 2: Use a temporary file approach (requires implementing recording functionality)
-    // const mediaServerStreamUrl = `file://${process.cwd()}/temp/${roomId}.webm`;
+  } catch (error) {
+    console.error('Error serving stream source:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Serve the room's HLS playlist and segments for the fallback player
+router.get('/:roomId/hls/:file', (req, res) => {
+  const { roomId, file } = req.params;
+  
+  // Only plain playlist/segment names, so requests can't escape the room's folder
+  if (!/^[\w-]+$/.test(roomId) || !/^[\w-]+\.(m3u8|ts)$/.test(file)) {
+    return res.status(400).send('Invalid HLS path');
+  }
+  
+  const isPlaylist = file.endsWith('.m3u8');
+  res.setHeader('Content-Type', isPlaylist ? 'application/vnd.apple.mpegurl' : 'video/mp2t');
+  // Live playlists change every segment; segments never change
+  res.setHeader('Cache-Control', isPlaylist ? 'no-cache' : 'public, max-age=60');
+  
+  res.sendFile(path.join(HLS_DIR, roomId, file), (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).send('HLS output not available yet');
+    }
+  });
+});
+
+// Page through a room's chat history, newest first. Pass the oldest message's
+// cursor as `before` to load the page above it.
+router.get('/:roomId/chat', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const query = { roomId: req.params.roomId, deleted: false, held: { $ne: true } };
     
-    const ffmpeg = spawn(ffmpegPath, [
-      '-i', mediaServerStreamUrl,
-      '-c:v', 'copy',
-      '-c:a', 'copy',
-      '-f', 'webm',
-      '-'
-    ]);
+    if (req.query.before) {
+      if (!mongoose.isValidObjectId(req.query.before)) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      query._id = { $lt: req.query.before };
+    }
     
-    ffmpeg.stdout.pipe(res);
+    // Fetch one extra to know whether there's another page
+    const results = await ChatMessage.find(query).sort({ _id: -1 }).limit(limit + 1);
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit).reverse();
     
-    ffmpeg.stderr.on('data', (data) => {
-      console.log(`FFmpeg stderr: ${data}`);
+    res.json({
+      messages: page.map(message => message.toChatPayload(req.query.userId)),
+      hasMore,
+      nextCursor: hasMore ? page[0]._id.toString() : null
     });
+  } catch (error) {
+    console.error('Error fetching chat history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a stream's whole chat as json, csv or text, including deleted and
+// held messages. Host only: send the host's identity token as X-Identity-Token.
+router.get('/:id/chat/export', async (req, res) => {
+  try {
+    const exporter = EXPORT_FORMATS[req.query.format || 'json'];
+    if (!exporter) {
+      return res.status(400).json({ message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid stream id' });
+    }
     
-    req.on('close', () => {
-      ffmpeg.kill('SIGTERM');
-    });
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ message: 'Stream not found' });
+    }
+    if (!verifyIdentity(stream.hostId, req.get('X-Identity-Token'))) {
+      return res.status(403).json({ message: 'Only the host can export chat' });
+    }
+    
+    const startedAt = stream.startedAt || stream.createdAt;
+    res.setHeader('Content-Type', `${exporter.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="chat-${stream.roomId}.${exporter.extension}"`);
+    res.write(exporter.header);
     
+    // A client that goes away mid-download never drains, so stop on 'close'
+    // and always give the cursor back
+    const cursor = ChatMessage.find({ roomId: stream.roomId }).sort({ _id: 1 }).cursor();
+    const closed = new Promise(resolve => res.once('close', resolve));
+    try {
+      let index = 0;
+      for await (const message of cursor) {
+        if (res.destroyed) return;
+        if (!res.write(exporter.format(toExportEntry(message, startedAt), index++))) {
+          await Promise.race([once(res, 'drain'), closed]);
+        }
+      }
+    } finally {
+      await cursor.close();
+    }
+    if (!res.destroyed) {
+      res.end(exporter.footer);
+    }
   } catch (error) {
-    console.error('Error serving stream source:', error);
-    res.status(500).send('Server error');
+    console.error('Error exporting chat:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// People who have chatted in the room recently, for @mention autocomplete
+router.get('/:roomId/chatters', async (req, res) => {
+  try {
+    const chatters = await ChatMessage.findChatters(req.params.roomId);
+    res.json(chatters);
+  } catch (error) {
+    console.error('Error fetching chatters:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Every poll run during a stream, with final tallies, for after it ends
+router.get('/:id/polls', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid stream id' });
+    }
+    
+    const polls = await Poll.find({ streamId: req.params.id }).sort({ createdAt: 1 });
+    res.json(polls.map(poll => poll.toPollPayload()));
+  } catch (error) {
+    console.error('Error fetching polls:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Latest snapshot of a live stream for its card on the home page
+router.get('/:id/thumbnail', async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream || !stream.active) {
+      return res.status(404).json({ message: 'Stream not found' });
+    }
+    
+    // Snapshots are overwritten in place; clients add a query string to refresh
+    res.setHeader('Cache-Control', 'no-cache');
+    res.sendFile(path.join(THUMBNAILS_DIR, `${stream.roomId}.jpg`), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ message: 'Thumbnail not available yet' });
+      }
+    });
+  } catch (error) {
+    console.error('Error serving thumbnail:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
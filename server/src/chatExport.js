@@ -0,0 +1,105 @@
+// Chat transcript export for GET /api/streams/:id/chat/export. Each format
+// is written a message at a time so long chats don't have to fit in memory.
+
+const CSV_COLUMNS = [
+  'offset',
+  'offsetSeconds',
+  'timestamp',
+  'userId',
+  'username',
+  'text',
+  'replyTo',
+  'deleted',
+  'deletedByModerator',
+  'held',
+  'reactions'
+];
+
+// Seconds as [-]h:mm:ss
+function formatOffset(seconds) {
+  const sign = seconds < 0 ? '-' : '';
+  const total = Math.abs(Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return `${sign}${hours}:${minutes}:${secs}`;
+}
+
+// One transcript entry. Deleted and held messages are included, flagged, so
+// the export shows what moderation did.
+function toExportEntry(message, startedAt) {
+  const offsetSeconds = Math.floor((message.createdAt - startedAt) / 1000);
+
+  return {
+    offset: formatOffset(offsetSeconds),
+    offsetSeconds,
+    timestamp: message.createdAt.toISOString(),
+    messageId: message.messageId,
+    userId: message.userId,
+    username: message.username,
+    text: message.text,
+    replyTo: message.replyTo ? message.replyTo.messageId : null,
+    deleted: message.deleted,
+    deletedByModerator: message.deleted && message.deletedBy !== message.userId,
+    held: Boolean(message.held),
+    reactions: message.summarizeReactions()
+  };
+}
+
+const formatReactions = (reactions) => reactions.map(({ reaction, count }) => `${reaction} ${count}`).join(' ');
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsvRow(entry) {
+  return CSV_COLUMNS
+    .map(column => csvCell(column === 'reactions' ? formatReactions(entry.reactions) : entry[column]))
+    .join(',');
+}
+
+// [0:01:23] alice: hello (deleted by moderator) [👍 2]
+function toTextLine(entry) {
+  const flags = [
+    entry.deleted && (entry.deletedByModerator ? 'deleted by moderator' : 'deleted'),
+    entry.held && 'held for review'
+  ].filter(Boolean);
+
+  return [
+    `[${entry.offset}] ${entry.username}: ${entry.text.replace(/\r?\n/g, ' ')}`,
+    flags.length ? `(${flags.join(', ')})` : '',
+    entry.reactions.length ? `[${formatReactions(entry.reactions)}]` : ''
+  ].filter(Boolean).join(' ');
+}
+
+// How each format starts, separates and ends its entries
+const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json',
+    extension: 'json',
+    header: '[\n',
+    format: (entry, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(entry)}`,
+    footer: '\n]\n'
+  },
+  csv: {
+    contentType: 'text/csv',
+    extension: 'csv',
+    header: `${CSV_COLUMNS.join(',')}\n`,
+    format: (entry) => `${toCsvRow(entry)}\n`,
+    footer: ''
+  },
+  text: {
+    contentType: 'text/plain',
+    extension: 'txt',
+    header: '',
+    format: (entry) => `${toTextLine(entry)}\n`,
+    footer: ''
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatOffset,
+  toExportEntry
+};
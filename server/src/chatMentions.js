@@ -0,0 +1,39 @@
+// Longest quote kept from the message being replied to
+const REPLY_PREVIEW_LENGTH = 100;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Ids of the chatters @mentioned in a message. Usernames can contain spaces,
+// so each known name is looked for in full rather than parsing tokens; the
+// mention has to end at a non-word character or the end of the text.
+function findMentions(text, chatters) {
+  if (!text.includes('@')) return [];
+
+  const mentioned = new Set();
+  chatters.forEach(({ userId, username }) => {
+    if (!username) return;
+    const pattern = new RegExp(`@${escapeRegExp(username)}(?![\\p{L}\\p{N}_])`, 'iu');
+    if (pattern.test(text)) {
+      mentioned.add(userId);
+    }
+  });
+  return [...mentioned];
+}
+
+function toReplyPreview(message) {
+  const text = message.text.length > REPLY_PREVIEW_LENGTH
+    ? `${message.text.slice(0, REPLY_PREVIEW_LENGTH - 1)}…`
+    : message.text;
+
+  return {
+    messageId: message.messageId,
+    userId: message.userId,
+    username: message.username,
+    text
+  };
+}
+
+module.exports = {
+  findMentions,
+  toReplyPreview
+};
@@ -0,0 +1,74 @@
+// Chat modes a moderator can switch on for a channel's stream. Slow mode is a
+// per-user cooldown in seconds; the account age minimum is in minutes since we
+// first saw the user's id. Zero turns either off.
+const CHAT_MODE_LIMITS = {
+  slowMode: { min: 0, max: 3600 },
+  minAccountAge: { min: 0, max: 30 * 24 * 60 }
+};
+
+// Only emoji (with skin tones, joiners and flags) and whitespace
+const EMOTE_ONLY_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|\u200d|\ufe0f|\s)+$/u;
+
+function isEmoteOnly(text) {
+  return EMOTE_ONLY_PATTERN.test(text);
+}
+
+// Keep only known modes with in-range values; anything not given is left out
+// so partial updates don't reset the other modes
+function sanitizeChatModes(modes = {}) {
+  const update = {};
+
+  Object.entries(CHAT_MODE_LIMITS).forEach(([key, { min, max }]) => {
+    if (modes[key] === undefined) return;
+    const value = parseInt(modes[key], 10) || 0;
+    update[key] = Math.min(Math.max(value, min), max);
+  });
+
+  if (modes.emoteOnly !== undefined) {
+    update.emoteOnly = Boolean(modes.emoteOnly);
+  }
+
+  return update;
+}
+
+// Why a message breaks the active modes, or null if it's allowed.
+// `lastMessageAt` is the user's previous message time in the room and
+// `firstSeenAt` when their id first joined any room.
+function checkChatModes(modes, { text, lastMessageAt, firstSeenAt, now = Date.now() }) {
+  if (!modes) return null;
+
+  if (modes.minAccountAge > 0) {
+    const readyAt = (firstSeenAt ? firstSeenAt.getTime() : now) + modes.minAccountAge * 60 * 1000;
+    if (readyAt > now) {
+      return {
+        mode: 'minAccountAge',
+        message: `New chatters must wait ${modes.minAccountAge} minutes before chatting`,
+        retryAfter: Math.ceil((readyAt - now) / 1000)
+      };
+    }
+  }
+
+  if (modes.emoteOnly && !isEmoteOnly(text)) {
+    return { mode: 'emoteOnly', message: 'This chat is in emote-only mode' };
+  }
+
+  if (modes.slowMode > 0 && lastMessageAt) {
+    const readyAt = lastMessageAt + modes.slowMode * 1000;
+    if (readyAt > now) {
+      return {
+        mode: 'slowMode',
+        message: `Slow mode is on: one message every ${modes.slowMode} seconds`,
+        retryAfter: Math.ceil((readyAt - now) / 1000)
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  CHAT_MODE_LIMITS,
+  isEmoteOnly,
+  sanitizeChatModes,
+  checkChatModes
+};
@@ -0,0 +1,138 @@
+// Encoding profiles for restreaming to external platforms. Bitrates are in
+// kbps and the keyframe interval is in seconds, matching how the platforms
+// publish their recommended settings.
+const ENCODING_PRESETS = {
+  'twitch-1080p60': {
+    label: 'Twitch 6000k 1080p60',
+    width: 1920, height: 1080, framerate: 60, videoBitrate: 6000,
+    keyframeInterval: 2, audioBitrate: 160, sampleRate: 48000
+  },
+  'twitch-720p60': {
+    label: 'Twitch 4500k 720p60',
+    width: 1280, height: 720, framerate: 60, videoBitrate: 4500,
+    keyframeInterval: 2, audioBitrate: 160, sampleRate: 48000
+  },
+  'twitch-720p30': {
+    label: 'Twitch 3000k 720p30',
+    width: 1280, height: 720, framerate: 30, videoBitrate: 3000,
+    keyframeInterval: 2, audioBitrate: 128, sampleRate: 48000
+  },
+  'youtube-1080p30': {
+    label: 'YouTube 1080p30',
+    width: 1920, height: 1080, framerate: 30, videoBitrate: 8000,
+    keyframeInterval: 2, audioBitrate: 128, sampleRate: 48000
+  },
+  'youtube-720p': {
+    label: 'YouTube 720p',
+    width: 1280, height: 720, framerate: 30, videoBitrate: 4000,
+    keyframeInterval: 2, audioBitrate: 128, sampleRate: 48000
+  },
+  'facebook-720p': {
+    label: 'Facebook 720p',
+    width: 1280, height: 720, framerate: 30, videoBitrate: 4000,
+    keyframeInterval: 2, audioBitrate: 128, sampleRate: 48000
+  },
+  'standard-720p30': {
+    label: 'Standard 3000k 720p30',
+    width: 1280, height: 720, framerate: 30, videoBitrate: 3000,
+    keyframeInterval: 2, audioBitrate: 128, sampleRate: 44100
+  }
+};
+
+const DEFAULT_PRESETS = {
+  youtube: 'youtube-720p',
+  facebook: 'facebook-720p',
+  twitch: 'twitch-720p30',
+  custom: 'standard-720p30'
+};
+
+// Accepted range for each profile field; anything outside falls back to the preset
+const PROFILE_LIMITS = {
+  width: [256, 3840],
+  height: [144, 2160],
+  framerate: [1, 60],
+  videoBitrate: [300, 20000],
+  keyframeInterval: [1, 10],
+  audioBitrate: [32, 320]
+};
+
+const SAMPLE_RATES = [44100, 48000];
+
+function getDefaultPreset(platform) {
+  return DEFAULT_PRESETS[platform] || DEFAULT_PRESETS.custom;
+}
+
+// Keep only the profile overrides that are in range, rounded
+function sanitizeProfile(overrides = {}) {
+  const profile = {};
+
+  Object.entries(PROFILE_LIMITS).forEach(([field, [min, max]]) => {
+    const value = Number(overrides[field]);
+    if (Number.isFinite(value) && value >= min && value <= max) {
+      profile[field] = Math.round(value);
+    }
+  });
+
+  if (SAMPLE_RATES.includes(Number(overrides.sampleRate))) {
+    profile.sampleRate = Number(overrides.sampleRate);
+  }
+
+  return profile;
+}
+
+// Resolve a destination's profile: start from its preset (or the platform
+// default) and apply any valid per-field overrides from dest.profile
+function resolveEncodingProfile(dest) {
+  const presetId = ENCODING_PRESETS[dest.preset] ? dest.preset : getDefaultPreset(dest.platform);
+  const { label, ...profile } = ENCODING_PRESETS[presetId];
+
+  return { preset: presetId, label, ...profile, ...sanitizeProfile(dest.profile) };
+}
+
+// Build the FFmpeg arguments that encode the room's MPEG-TS ingest (read from
+// stdin) with the given profile and push it to an RTMP URL as FLV
+function buildEncodingArgs(profile, outputUrl) {
+  const { width, height, framerate, videoBitrate, keyframeInterval, audioBitrate, sampleRate } = profile;
+
+  // Letterbox into the exact output size so odd source dimensions still encode
+  const videoFilter = [
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+    'setsar=1'
+  ].join(',');
+
+  const gop = Math.round(framerate * keyframeInterval);
+
+  return [
+    '-f', 'mpegts',
+    '-i', 'pipe:0',
+    '-vf', videoFilter,
+    '-r', String(framerate),
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-pix_fmt', 'yuv420p',
+    // Platforms expect constant bitrate with fixed keyframe spacing
+    '-b:v', `${videoBitrate}k`,
+    '-maxrate', `${videoBitrate}k`,
+    '-bufsize', `${videoBitrate * 2}k`,
+    '-g', String(gop),
+    '-keyint_min', String(gop),
+    '-sc_threshold', '0',
+    '-c:a', 'aac',
+    '-b:a', `${audioBitrate}k`,
+    '-ar', String(sampleRate),
+    '-ac', '2',
+    '-f', 'flv',
+    outputUrl
+  ];
+}
+
+module.exports = {
+  ENCODING_PRESETS,
+  DEFAULT_PRESETS,
+  PROFILE_LIMITS,
+  SAMPLE_RATES,
+  sanitizeProfile,
+  resolveEncodingProfile,
+  buildEncodingArgs
+};
@@ -0,0 +1,269 @@
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+
+// Failures that retrying won't fix: a rejected stream key or a bad URL/argument
+const FATAL_ERRORS = [
+  {
+    pattern: /Authorization failed|Unauthorized|Forbidden|Access denied|Publish(ing)? rejected|BadName/i,
+    message: 'Authorization failed. Please check your stream key.'
+  },
+  {
+    pattern: /Invalid argument|Unrecognized option|Option not found|Protocol not found|No such file or directory/i,
+    message: 'Invalid stream URL or encoder settings'
+  }
+];
+
+// Failures worth reporting while we back off and try again
+const TRANSIENT_ERRORS = /Connection refused|Connection timed out|Connection reset|Broken pipe|Input\/output error|Server returned|Failed to|Error /i;
+
+// Every job that hasn't finished yet, so the server can stop them on shutdown
+const runningJobs = new Set();
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// "00:01:02.50" -> 62.5 (ffmpeg prints a negative time before the first packet)
+const parseTimestamp = (value) => {
+  const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+};
+
+// Turn an ffmpeg progress line such as
+//   frame=  120 fps= 30 q=28.0 size=1024kB time=00:00:04.00 bitrate=2097.2kbits/s drop=3 speed=1.01x
+// into structured stats. Returns null for any other stderr line.
+function parseProgressLine(line) {
+  if (!/time=/.test(line) || !/bitrate=/.test(line)) {
+    return null;
+  }
+
+  const fields = {};
+  for (const [, key, value] of line.matchAll(/(\w+)=\s*(\S+)/g)) {
+    fields[key] = value;
+  }
+
+  return {
+    frame: toNumber(fields.frame),
+    fps: toNumber(fields.fps),
+    bitrate: toNumber(fields.bitrate), // kbps
+    speed: toNumber(fields.speed),
+    droppedFrames: toNumber(fields.drop) || 0,
+    duplicatedFrames: toNumber(fields.dup) || 0,
+    size: toNumber(fields.size), // kB written so far
+    time: parseTimestamp(fields.time) // seconds of media processed
+  };
+}
+
+// Restart delay in ms for the given attempt (1-based): `baseDelay` doubled
+// each attempt, capped at `maxDelay`
+function getRestartDelay(attempt, baseDelay, maxDelay) {
+  return Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+}
+
+// Run ffmpeg with `args` and keep it running. The returned job emits:
+//   'start'      ({ process, attempt }) each time a process is spawned
+//   'connected'  (stats) once per process, on its first progress line
+//   'stats'      (stats) at most every `statsInterval` ms after that
+//   'exit'       ({ code, signal, error }) whenever a process exits
+//   'restarting' ({ attempt, delay, error }) before a backed-off restart
+//   'failed'     ({ code, error }) when a crash won't be retried
+//   'done'       ({ code, failed }) exactly once, when the job is finished
+//
+// Options:
+//   restart        restart crashed processes (default true)
+//   maxRestarts    restarts allowed before giving up (default 5)
+//   baseDelay      first restart delay in ms, doubled each attempt (default 1000)
+//   maxDelay       cap on the restart delay in ms (default 30000)
+//   stableAfter    ms of uptime after which the attempt counter resets (default 30000)
+//   statsInterval  minimum ms between 'stats' events (default 5000)
+//   stdinInput     the job reads media from stdin; stop() ends stdin so ffmpeg
+//                  can flush before it is killed (default false)
+//   shouldRestart  extra check before each restart, e.g. the input still exists
+function superviseFfmpeg(label, args, options = {}) {
+  const {
+    restart = true,
+    maxRestarts = 5,
+    baseDelay = 1000,
+    maxDelay = 30000,
+    stableAfter = 30000,
+    statsInterval = 5000,
+    stdinInput = false,
+    shouldRestart = () => true
+  } = options;
+
+  const job = new EventEmitter();
+  job.label = label;
+  job.process = null;
+  job.stats = null;
+  job.attempt = 0;
+  job.stopped = false;
+  job.finished = false;
+
+  let restartTimer = null;
+  let lastError = null;
+
+  const finish = (code, failed) => {
+    if (job.finished) return;
+    job.finished = true;
+    job.process = null;
+    runningJobs.delete(job);
+    job.emit('done', { code, failed });
+  };
+
+  const handleExit = (child, startedAt, code, signal) => {
+    if (job.process === child) {
+      job.process = null;
+    }
+
+    const error = lastError;
+    console.log(`FFmpeg (${label}) exited with code ${code}${signal ? ` (${signal})` : ''}`);
+    job.emit('exit', { code, signal, error: error?.message || null });
+
+    // A clean exit (input ended) or an explicit stop finishes the job
+    if (job.stopped || code === 0) {
+      finish(code, false);
+      return;
+    }
+
+    if (Date.now() - startedAt >= stableAfter) {
+      job.attempt = 0;
+    }
+
+    const canRestart = restart && !error?.fatal && job.attempt < maxRestarts && shouldRestart();
+    if (!canRestart) {
+      console.error(`FFmpeg (${label}) failed: ${error?.message || `exit code ${code}`}`);
+      job.emit('failed', { code, error: error?.message || `Encoder exited with code ${code}` });
+      finish(code, true);
+      return;
+    }
+
+    job.attempt++;
+    const delay = getRestartDelay(job.attempt, baseDelay, maxDelay);
+    console.log(`Restarting FFmpeg (${label}) in ${delay}ms (attempt ${job.attempt}/${maxRestarts})`);
+    job.emit('restarting', { attempt: job.attempt, delay, error: error?.message || null });
+
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      if (!job.stopped) run();
+    }, delay);
+  };
+
+  const run = () => {
+    lastError = null;
+    job.stats = null;
+
+    const child = spawn(ffmpegPath, ['-hide_banner', ...args]);
+    const startedAt = Date.now();
+    let exited = false;
+    let connected = false;
+    let lastStatsAt = 0;
+    let pending = '';
+
+    const onExit = (code, signal) => {
+      if (exited) return;
+      exited = true;
+      handleExit(child, startedAt, code, signal);
+    };
+
+    child.stderr.on('data', (data) => {
+      // Progress lines end in \r, log lines in \n
+      const lines = (pending + data.toString()).split(/[\r\n]+/);
+      pending = lines.pop();
+
+      lines.forEach((line) => {
+        const stats = parseProgressLine(line);
+        if (stats) {
+          job.stats = stats;
+          if (!connected) {
+            connected = true;
+            lastStatsAt = Date.now();
+            job.emit('connected', stats);
+          } else if (Date.now() - lastStatsAt >= statsInterval) {
+            lastStatsAt = Date.now();
+            job.emit('stats', stats);
+          }
+          return;
+        }
+
+        const fatal = FATAL_ERRORS.find(({ pattern }) => pattern.test(line));
+        if (fatal) {
+          console.error(`FFmpeg (${label}): ${line}`);
+          lastError = { message: fatal.message, fatal: true };
+        } else if (TRANSIENT_ERRORS.test(line)) {
+          console.error(`FFmpeg (${label}): ${line}`);
+          if (!lastError?.fatal) {
+            lastError = { message: line.trim(), fatal: false };
+          }
+        }
+      });
+    });
+
+    // ffmpeg may exit while a consumer is still writing into it
+    child.stdin.on('error', (error) => {
+      if (error.code !== 'EPIPE') {
+        console.error(`FFmpeg (${label}) stdin error:`, error.message);
+      }
+    });
+
+    child.on('error', (error) => {
+      console.error(`FFmpeg (${label}) process error:`, error);
+      // A process that never spawned won't emit 'close'
+      if (!child.pid) {
+        lastError = { message: error.message, fatal: true };
+        onExit(null, null);
+      }
+    });
+
+    child.on('close', onExit);
+
+    job.process = child;
+    job.emit('start', { process: child, attempt: job.attempt });
+  };
+
+  // Stop for good: no more restarts. Stdin-fed jobs get to flush first.
+  job.stop = () => {
+    if (job.finished || job.stopped) return;
+    job.stopped = true;
+
+    if (restartTimer) {
+      clearTimeout(restartTimer);
+      restartTimer = null;
+    }
+
+    const child = job.process;
+    if (!child) {
+      finish(null, false);
+      return;
+    }
+
+    if (stdinInput && child.stdin.writable) {
+      child.stdin.end();
+      const killTimer = setTimeout(() => child.kill('SIGTERM'), 5000);
+      child.once('close', () => clearTimeout(killTimer));
+    } else {
+      child.kill('SIGTERM');
+    }
+  };
+
+  runningJobs.add(job);
+  // Let the caller attach listeners before the first 'start'
+  process.nextTick(() => {
+    if (!job.stopped) run();
+  });
+
+  return job;
+}
+
+function stopAllFfmpegJobs() {
+  runningJobs.forEach(job => job.stop());
+}
+
+module.exports = {
+  superviseFfmpeg,
+  parseProgressLine,
+  getRestartDelay,
+  stopAllFfmpegJobs
+};
@@ -0,0 +1,80 @@
+const path = require('path');
+
+// Renditions packaged for HLS viewers when a stream doesn't configure its own.
+// Bitrates are in kbps; a rendition without a height is audio-only.
+const DEFAULT_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { name: 'audio', audioBitrate: 64 }
+];
+
+// Each rendition is its own encode, so a ladder is kept to a handful
+const MAX_RENDITIONS = 6;
+
+const MASTER_PLAYLIST = 'master.m3u8';
+
+// Build the FFmpeg arguments that transcode the room's MPEG-TS ingest (read
+// from stdin) into one HLS variant per rendition plus a master playlist
+function buildHlsLadderArgs(renditions, outputDir) {
+  const ladder = renditions && renditions.length > 0 ? renditions : DEFAULT_LADDER;
+  const videoRenditions = ladder.filter(rendition => rendition.height);
+  const audioOnlyRenditions = ladder.filter(rendition => !rendition.height);
+
+  const args = ['-f', 'mpegts', '-i', 'pipe:0'];
+
+  if (videoRenditions.length > 0) {
+    // Never upscale: a rendition taller than the source keeps the source height
+    const splits = videoRenditions.map((rendition, i) => `[vs${i}]`).join('');
+    const scales = videoRenditions
+      .map((rendition, i) => `[vs${i}]scale=-2:'min(${rendition.height},ih)'[v${i}]`)
+      .join(';');
+    args.push('-filter_complex', `[0:v]split=${videoRenditions.length}${splits};${scales}`);
+
+    videoRenditions.forEach((rendition, i) => {
+      args.push(
+        '-map', `[v${i}]`,
+        `-c:v:${i}`, 'libx264',
+        `-b:v:${i}`, `${rendition.videoBitrate}k`,
+        `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        `-bufsize:v:${i}`, `${Math.round(rendition.videoBitrate * 1.5)}k`
+      );
+    });
+
+    // Aligned keyframes every 2s so every variant can be cut at the same
+    // points; timed rather than counted, since the ingest keeps the source rate
+    args.push('-preset', 'veryfast', '-force_key_frames', 'expr:gte(t,n_forced*2)', '-sc_threshold', '0');
+  }
+
+  // Video variants come first in the map, so audio stream i pairs with video i
+  const orderedRenditions = [...videoRenditions, ...audioOnlyRenditions];
+  orderedRenditions.forEach(() => args.push('-map', '0:a'));
+  args.push('-c:a', 'aac');
+  orderedRenditions.forEach((rendition, i) => {
+    args.push(`-b:a:${i}`, `${rendition.audioBitrate || 128}k`);
+  });
+
+  const streamMap = orderedRenditions
+    .map((rendition, i) => (rendition.height ? `v:${i},a:${i}` : `a:${i}`))
+    .join(' ');
+
+  args.push(
+    '-f', 'hls',
+    '-hls_time', '2',
+    '-hls_list_size', '6',
+    '-hls_flags', 'delete_segments+independent_segments',
+    '-master_pl_name', MASTER_PLAYLIST,
+    '-hls_segment_filename', path.join(outputDir, 'stream_%v_%05d.ts'),
+    '-var_stream_map', streamMap,
+    path.join(outputDir, 'stream_%v.m3u8')
+  );
+
+  return args;
+}
+
+module.exports = {
+  DEFAULT_LADDER,
+  MAX_RENDITIONS,
+  MASTER_PLAYLIST,
+  buildHlsLadderArgs
+};
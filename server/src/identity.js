@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Signs identity tokens. Without IDENTITY_SECRET a fresh secret is used per
+// process, so every client is issued a new id after a restart.
+const IDENTITY_SECRET = process.env.IDENTITY_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Token proving the holder was issued `userId` by this server
+function signIdentity(userId) {
+  return crypto.createHmac('sha256', IDENTITY_SECRET).update(String(userId)).digest('hex');
+}
+
+function verifyIdentity(userId, token) {
+  if (typeof userId !== 'string' || typeof token !== 'string') return false;
+  const expected = Buffer.from(signIdentity(userId), 'hex');
+  const actual = Buffer.from(token, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// A new id with its token. Ids are only ever generated here, so nobody can
+// pick someone else's (a host's or a moderator's) and get it signed.
+function issueIdentity() {
+  const userId = crypto.randomUUID();
+  return { userId, token: signIdentity(userId) };
+}
+
+// Bind a user id to the socket once, if its token verifies. Handlers then act
+// as socket.userId rather than trusting the userId in each payload.
+async function bindSocketIdentity(socket, userId, token) {
+  if (!userId || typeof userId !== 'string') {
+    socket.emit('auth-error', { message: 'A user id is required' });
+    return false;
+  }
+
+  if (socket.userId) {
+    if (socket.userId === userId) return true;
+    socket.emit('auth-error', { message: 'This connection is already registered as another user' });
+    return false;
+  }
+
+  if (!verifyIdentity(userId, token)) {
+    console.error(`Rejected identity ${userId} for socket ${socket.id}`);
+    socket.emit('auth-error', { message: 'Could not verify your identity' });
+    return false;
+  }
+
+  socket.userId = userId;
+  return true;
+}
+
+module.exports = {
+  signIdentity,
+  verifyIdentity,
+  issueIdentity,
+  bindSocketIdentity
+};
@@ -0,0 +1,158 @@
+const { EventEmitter } = require('events');
+const { superviseFfmpeg } = require('./ffmpegSupervisor');
+
+// MPEG-TS packets are always 188 bytes, so a consumer that attaches mid-stream
+// can start on any packet boundary without needing a container header.
+const TS_PACKET_SIZE = 188;
+
+// Emits 'start' and 'stop' with the roomId whenever an ingest session changes
+const ingestEvents = new EventEmitter();
+
+// Active ingest sessions keyed by roomId
+const ingestSessions = new Map();
+
+// Start normalising a room's incoming media into a single MPEG-TS feed.
+// By default the source is WebM pushed into stdin by the browser host; RTMP
+// publishers pass the local NodeMediaServer URL as the input instead.
+function startIngest(roomId, { input = 'pipe:0' } = {}) {
+  if (ingestSessions.has(roomId)) {
+    return ingestSessions.get(roomId);
+  }
+
+  console.log(`Starting media ingest for room ${roomId} from ${input}`);
+
+  const fromStdin = input === 'pipe:0';
+
+  // WebM pushed over stdin can't be resumed mid-stream (the header is gone),
+  // so only pulled inputs are restarted when the encoder crashes
+  const job = superviseFfmpeg(`ingest ${roomId}`, [
+    // Keep FFmpeg from reading keyboard commands off a stdin we don't feed
+    ...(fromStdin ? [] : ['-nostdin']),
+    '-fflags', '+genpts',
+    '-i', input,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-tune', 'zerolatency',
+    // Keep the source framerate so 60fps restream presets get real frames;
+    // keyframes stay two seconds apart whatever the rate
+    '-force_key_frames', 'expr:gte(t,n_forced*2)',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac',
+    '-b:a', '128k',
+    '-ar', '44100',
+    '-f', 'mpegts',
+    'pipe:1'
+  ], { restart: !fromStdin, stdinInput: fromStdin });
+
+  const session = {
+    roomId,
+    job,
+    fromStdin,
+    consumers: new Set(),
+    remainder: Buffer.alloc(0),
+    startedAt: new Date()
+  };
+
+  job.on('start', ({ process: ffmpeg }) => {
+    session.remainder = Buffer.alloc(0);
+
+    ffmpeg.stdout.on('data', (data) => {
+      // Only hand whole TS packets to consumers
+      const buffer = Buffer.concat([session.remainder, data]);
+      const usable = buffer.length - (buffer.length % TS_PACKET_SIZE);
+      session.remainder = buffer.subarray(usable);
+
+      if (usable === 0) return;
+
+      const packets = buffer.subarray(0, usable);
+      session.consumers.forEach(consumer => consumer(packets));
+    });
+  });
+
+  job.on('done', () => {
+    if (ingestSessions.get(roomId) === session) {
+      ingestSessions.delete(roomId);
+      ingestEvents.emit('stop', roomId);
+    }
+  });
+
+  ingestSessions.set(roomId, session);
+  ingestEvents.emit('start', roomId);
+
+  return session;
+}
+
+// Feed a chunk of browser media (a MediaRecorder WebM slice) into the ingest
+function pushIngestChunk(roomId, chunk) {
+  const session = ingestSessions.get(roomId);
+  const ffmpeg = session?.job.process;
+  if (!session || !session.fromStdin || !ffmpeg || !ffmpeg.stdin.writable) {
+    return false;
+  }
+
+  ffmpeg.stdin.write(Buffer.from(chunk));
+  return true;
+}
+
+function stopIngest(roomId) {
+  const session = ingestSessions.get(roomId);
+  if (!session) {
+    return false;
+  }
+
+  console.log(`Stopping media ingest for room ${roomId}`);
+
+  // Closing stdin lets FFmpeg flush what it has; pulled inputs get a SIGTERM
+  session.job.stop();
+  return true;
+}
+
+function isIngesting(roomId) {
+  return ingestSessions.has(roomId);
+}
+
+// Pipe a room's MPEG-TS feed into a writable stream (an FFmpeg stdin or an HTTP
+// response). Returns a function that detaches the consumer again.
+function attachIngestConsumer(roomId, writable) {
+  const session = ingestSessions.get(roomId);
+  if (!session) {
+    return null;
+  }
+
+  let attached = true;
+
+  const consumer = (packets) => {
+    if (writable.writable) {
+      writable.write(packets);
+    }
+  };
+
+  const detach = () => {
+    if (!attached) return;
+    attached = false;
+    session.consumers.delete(consumer);
+    writable.removeListener('error', detach);
+    writable.removeListener('close', detach);
+    if (writable.writable) {
+      writable.end();
+    }
+  };
+
+  writable.on('error', detach);
+  writable.on('close', detach);
+  session.consumers.add(consumer);
+
+  // Consumers go away with the session when the host stops publishing
+  session.job.once('done', detach);
+
+  return detach;
+}
+
+module.exports = {
+  ingestEvents,
+  startIngest,
+  pushIngestChunk,
+  stopIngest,
+  isIngesting,
+  attachIngestConsumer
+};
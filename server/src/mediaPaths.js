@@ -0,0 +1,20 @@
+const path = require('path');
+
+// Root for media the server generates from live rooms
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, '..', 'media');
+
+// HLS playlists and segments, one directory per room
+const HLS_DIR = path.join(MEDIA_DIR, 'hls');
+
+// Recorded sessions, one MP4 per Recording document
+const RECORDINGS_DIR = path.join(MEDIA_DIR, 'recordings');
+
+// Latest JPEG snapshot of each live room, named <roomId>.jpg
+const THUMBNAILS_DIR = path.join(MEDIA_DIR, 'thumbnails');
+
+module.exports = {
+  MEDIA_DIR,
+  HLS_DIR,
+  RECORDINGS_DIR,
+  THUMBNAILS_DIR
+};
@@ -1,7 +1,8 @@
 const NodeMediaServer = require('node-media-server');
 const winston = require('winston'); // Optional but recommended for structured logging
-const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
-const { spawn } = require('child_process');
+const Stream = require('../models/Stream');
+const { startIngest, stopIngest } = require('./mediaIngest');
+const { superviseFfmpeg } = require('./ffmpegSupervisor');
 
 // Create a logger
 const logger = winston.createLogger({
@@ -38,6 +39,18 @@ const nms = new NodeMediaServer(config);
 // Record active stream processes to manage them
 const activeStreams = new Map();
 
+// Encoders publish to rtmp://<host>:1935/live/<ingestKey>
+const INGEST_APP = 'live';
+
+// Look up the active stream a publish path's ingest key belongs to
+const findStreamForPublish = async (StreamPath) => {
+  const [, app, ingestKey] = StreamPath.split('/');
+  if (app !== INGEST_APP || !ingestKey) {
+    return null;
+  }
+  return Stream.findOne({ ingestKey, active: true });
+};
+
 // Add custom event handlers with detailed logging
 nms.on('preConnect', (id, args) => {
   logger.info('RTMP Connection attempt', { 
@@ -63,16 +76,35 @@ nms.on('doneConnect', (id, args) => {
   });
 });
 
-nms.on('prePublish', (id, StreamPath, args) => {
+nms.on('prePublish', async (id, StreamPath, args) => {
   logger.info('RTMP Stream publish attempt', { 
     id, 
     streamPath: StreamPath,
     publishArgs: JSON.stringify(args),
     timestamp: new Date().toISOString()
   });
+  
+  // NodeMediaServer doesn't wait for async hooks, so an unknown key is
+  // rejected as soon as the lookup finishes, closing the session
+  try {
+    const stream = await findStreamForPublish(StreamPath);
+    if (!stream) {
+      logger.warn('Rejecting RTMP publish with unknown or inactive key', { id });
+      const session = nms.getSession(id);
+      if (session) {
+        session.reject();
+      }
+    }
+  } catch (error) {
+    logger.error('Error validating RTMP publish key', { id, error: error.message });
+    const session = nms.getSession(id);
+    if (session) {
+      session.reject();
+    }
+  }
 });
 
-nms.on('postPublish', (id, StreamPath, args) => {
+nms.on('postPublish', async (id, StreamPath, args) => {
   logger.info('RTMP Stream published successfully', { 
     id, 
     streamPath: StreamPath, 
@@ -80,6 +112,21 @@ nms.on('postPublish', (id, StreamPath, args) => {
     timestamp: new Date().toISOString()
   });
   
+  try {
+    const stream = await findStreamForPublish(StreamPath);
+    if (stream) {
+      // The stream now shows up in the live list like a browser host. A
+      // reconnecting encoder keeps the original start time.
+      await Stream.updateOne({ _id: stream._id }, [
+        { $set: { live: true, startedAt: { $ifNull: ['$startedAt', '$$NOW'] } } }
+      ]);
+      startIngest(stream.roomId, { input: `rtmp://localhost:${config.rtmp.port}${StreamPath}` });
+      logger.info('Stream is live from RTMP encoder', { id, roomId: stream.roomId });
+    }
+  } catch (error) {
+    logger.error('Error marking RTMP stream live', { id, error: error.message });
+  }
+  
   // Check if this stream should be republished (typically set from socket.io)
   const streamData = args.streamData || {};
   
@@ -95,8 +142,9 @@ nms.on('postPublish', (id, StreamPath, args) => {
         toUrl: `${destination.url}/[STREAM_KEY_HIDDEN]`
       });
       
-      // Use @ffmpeg-installer/ffmpeg path
-      const ffmpeg = spawn(ffmpegPath, [
+      const key = `${id}-${destination.platform}`;
+      const job = superviseFfmpeg(`republish ${destination.platform}`, [
+        '-nostdin',
         '-i', `rtmp://localhost:1935${StreamPath}`,
         '-c:v', 'copy',  // Copy video codec without re-encoding
         '-c:a', 'copy',  // Copy audio codec without re-encoding
@@ -104,34 +152,24 @@ nms.on('postPublish', (id, StreamPath, args) => {
         `${destination.url}/${destination.streamKey}`
       ]);
       
-      // Add detailed logging for the ffmpeg process
-      ffmpeg.stdout.on('data', (data) => {
-        logger.debug(`FFMPEG stdout (${destination.platform}): ${data.toString().trim()}`);
-      });
-      
-      ffmpeg.stderr.on('data', (data) => {
-        // FFMPEG typically logs to stderr even for non-errors
-        const message = data.toString().trim();
-        if (message.includes('Error') || message.includes('error')) {
-          logger.error(`FFMPEG error (${destination.platform}): ${message}`);
-        } else {
-          logger.debug(`FFMPEG info (${destination.platform}): ${message}`);
-        }
+      job.on('restarting', ({ attempt, error }) => {
+        logger.warn(`Restarting republish to ${destination.platform}`, { attempt, error });
       });
       
-      ffmpeg.on('error', (error) => {
-        logger.error(`FFMPEG process error (${destination.platform}):`, error);
+      job.on('failed', ({ error }) => {
+        logger.error(`Republish to ${destination.platform} failed: ${error}`);
       });
       
-      ffmpeg.on('close', (code) => {
-        logger.info(`FFMPEG process for ${destination.platform} exited with code ${code}`);
+      job.on('done', () => {
         // Remove from active streams
-        activeStreams.delete(`${id}-${destination.platform}`);
+        if (activeStreams.get(key)?.job === job) {
+          activeStreams.delete(key);
+        }
       });
       
-      // Store the ffmpeg process reference for potential termination later
-      activeStreams.set(`${id}-${destination.platform}`, {
-        process: ffmpeg,
+      // Store the job for potential termination later
+      activeStreams.set(key, {
+        job,
         platform: destination.platform,
         startTime: new Date().toISOString()
       });
@@ -139,19 +177,29 @@ nms.on('postPublish', (id, StreamPath, args) => {
   }
 });
 
-nms.on('donePublish', (id, StreamPath, args) => {
+nms.on('donePublish', async (id, StreamPath, args) => {
   logger.info('RTMP Stream publishing ended', { 
     id, 
     streamPath: StreamPath,
     timestamp: new Date().toISOString()
   });
   
+  try {
+    const stream = await findStreamForPublish(StreamPath);
+    if (stream) {
+      await Stream.updateOne({ _id: stream._id }, { live: false });
+      stopIngest(stream.roomId);
+    }
+  } catch (error) {
+    logger.error('Error marking RTMP stream offline', { id, error: error.message });
+  }
+  
   // Terminate any ffmpeg processes for this stream
   for (const [streamId, streamData] of activeStreams.entries()) {
     if (streamId.startsWith(id)) {
       logger.info(`Terminating ffmpeg process for ${streamData.platform}`);
       try {
-        streamData.process.kill('SIGTERM');
+        streamData.job.stop();
         activeStreams.delete(streamId);
       } catch (error) {
         logger.error(`Error terminating ffmpeg process for ${streamData.platform}:`, error);
@@ -0,0 +1,180 @@
+const Peer = require('simple-peer');
+const wrtc = require('@roamhq/wrtc');
+
+// Peer id the SFU answers to in the existing 'signal' exchange
+const SFU_PEER_ID = 'sfu';
+
+const ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:global.stun.twilio.com:3478' }
+];
+
+// Per-room forwarding state: the host publishes one stream to the server and
+// every viewer gets their own server-side peer carrying the host's tracks
+const sfuRooms = new Map();
+
+function getRoom(roomId) {
+  if (!sfuRooms.has(roomId)) {
+    sfuRooms.set(roomId, {
+      hostId: null,
+      hostSocket: null,
+      publisher: null,
+      stream: null,
+      subscribers: new Map()
+    });
+  }
+  return sfuRooms.get(roomId);
+}
+
+function createServerPeer(options) {
+  return new Peer({
+    wrtc,
+    trickle: false,
+    config: { iceServers: ICE_SERVERS },
+    ...options
+  });
+}
+
+// The host's browser is the only peer allowed to publish into a room
+function registerPublisher(socket, roomId, hostId) {
+  const room = getRoom(roomId);
+  room.hostId = hostId;
+  room.hostSocket = socket;
+}
+
+function handlePublisherSignal(room, roomId, signal) {
+  if (!room.publisher || room.publisher.destroyed) {
+    const peer = createServerPeer({ initiator: false });
+
+    peer.on('signal', (answer) => {
+      if (room.hostSocket) {
+        room.hostSocket.emit('user-signal', { userId: SFU_PEER_ID, signal: answer });
+      }
+    });
+
+    peer.on('stream', (stream) => {
+      console.log(`SFU receiving host stream for room ${roomId}`);
+      room.stream = stream;
+
+      // Viewers that joined before the host was publishing
+      room.subscribers.forEach((subscriber, viewerId) => {
+        connectSubscriber(room, roomId, viewerId);
+      });
+    });
+
+    peer.on('error', (error) => {
+      console.error(`SFU publisher error in room ${roomId}:`, error.message);
+    });
+
+    peer.on('close', () => {
+      if (room.publisher !== peer) return;
+      room.publisher = null;
+      room.stream = null;
+
+      // Forwarded tracks are dead without the publisher
+      room.subscribers.forEach((subscriber) => {
+        if (subscriber.peer && !subscriber.peer.destroyed) {
+          subscriber.peer.destroy();
+        }
+      });
+    });
+
+    room.publisher = peer;
+  }
+
+  room.publisher.signal(signal);
+}
+
+function connectSubscriber(room, roomId, viewerId) {
+  const subscriber = room.subscribers.get(viewerId);
+  if (!subscriber || subscriber.peer || !room.stream) return;
+
+  const peer = createServerPeer({ initiator: true, stream: room.stream });
+
+  peer.on('signal', (offer) => {
+    subscriber.socket.emit('user-signal', { userId: SFU_PEER_ID, signal: offer });
+  });
+
+  peer.on('error', (error) => {
+    console.error(`SFU subscriber ${viewerId} error in room ${roomId}:`, error.message);
+  });
+
+  peer.on('close', () => {
+    if (subscriber.peer === peer) {
+      subscriber.peer = null;
+    }
+  });
+
+  subscriber.peer = peer;
+}
+
+// Viewers are offered the host's stream as soon as it is available
+function addSubscriber(socket, roomId, viewerId) {
+  const room = getRoom(roomId);
+  const existing = room.subscribers.get(viewerId);
+
+  // A repeated join from the same socket keeps its current peer
+  if (existing && existing.socket.id === socket.id) return;
+
+  removeSubscriber(roomId, viewerId);
+  room.subscribers.set(viewerId, { socket, peer: null });
+  connectSubscriber(room, roomId, viewerId);
+}
+
+// Pass the socket to only remove the subscriber if it hasn't since rejoined
+function removeSubscriber(roomId, viewerId, socket) {
+  const room = sfuRooms.get(roomId);
+  const subscriber = room?.subscribers.get(viewerId);
+  if (!subscriber || (socket && subscriber.socket !== socket)) return;
+
+  if (subscriber.peer && !subscriber.peer.destroyed) {
+    subscriber.peer.destroy();
+  }
+  room.subscribers.delete(viewerId);
+}
+
+// Route a signal addressed to the SFU to the publisher or subscriber peer.
+// Which one is decided by the sending socket, never by the id it claims: only
+// the host's socket reaches the publisher, and viewers only their own peer.
+function handleSfuSignal(roomId, socket, signal) {
+  const room = sfuRooms.get(roomId);
+  if (!room) {
+    console.log(`SFU ignoring signal for unknown room ${roomId}`);
+    return;
+  }
+
+  if (socket === room.hostSocket) {
+    handlePublisherSignal(room, roomId, signal);
+    return;
+  }
+
+  const subscriber = room.subscribers.get(socket.userId);
+  if (subscriber?.socket === socket && subscriber.peer && !subscriber.peer.destroyed) {
+    subscriber.peer.signal(signal);
+  }
+}
+
+function closeRoom(roomId) {
+  const room = sfuRooms.get(roomId);
+  if (!room) return;
+
+  room.subscribers.forEach((subscriber, viewerId) => removeSubscriber(roomId, viewerId));
+  if (room.publisher && !room.publisher.destroyed) {
+    room.publisher.destroy();
+  }
+  sfuRooms.delete(roomId);
+}
+
+function getSubscriberCount(roomId) {
+  return sfuRooms.get(roomId)?.subscribers.size || 0;
+}
+
+module.exports = {
+  SFU_PEER_ID,
+  registerPublisher,
+  addSubscriber,
+  removeSubscriber,
+  handleSfuSignal,
+  closeRoom,
+  getSubscriberCount
+};
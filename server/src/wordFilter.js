@@ -0,0 +1,92 @@
+const safeRegex = require('safe-regex');
+
+// Per-channel chat filter. Each blocked term either drops the message, masks
+// the match, or holds the message for a moderator to review.
+const FILTER_ACTIONS = ['drop', 'mask', 'hold'];
+const MAX_PATTERN_LENGTH = 200;
+
+// Stronger actions win when a message matches several terms
+const ACTION_PRIORITY = { drop: 3, hold: 2, mask: 1 };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Plain terms match as whole words so "ass" doesn't catch "class"
+function compileTerm({ pattern, isRegex }) {
+  if (isRegex) {
+    // Terms saved before the safety check still can't stall the event loop
+    if (!safeRegex(pattern)) {
+      throw new Error('Pattern could take too long to match');
+    }
+    return new RegExp(pattern, 'gi');
+  }
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(pattern)}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Check a term before saving it; returns an error message or null
+function validateTerm({ pattern, isRegex, action }) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return 'A term or pattern is required';
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Patterns can be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (action !== undefined && !FILTER_ACTIONS.includes(action)) {
+    return `Action must be one of: ${FILTER_ACTIONS.join(', ')}`;
+  }
+  if (isRegex) {
+    try {
+      if (new RegExp(pattern).test('')) {
+        return 'Patterns must not match empty text';
+      }
+    } catch (error) {
+      return `Invalid pattern: ${error.message}`;
+    }
+    // Nested repetition like (a+)+ can backtrack for minutes on one message
+    if (!safeRegex(pattern)) {
+      return 'Pattern is too complex; avoid nested repetition like (a+)+';
+    }
+  }
+  return null;
+}
+
+// Compile a channel's terms once; broken entries are skipped rather than
+// disabling the whole filter
+function compileFilter(terms) {
+  return terms.reduce((compiled, term) => {
+    try {
+      compiled.push({ action: term.action, regex: compileTerm(term) });
+    } catch (error) {
+      console.error(`Skipping invalid chat filter pattern "${term.pattern}":`, error.message);
+    }
+    return compiled;
+  }, []);
+}
+
+// Run a message through a compiled filter. Returns the strongest action that
+// matched (or null) and the text with every 'mask' match starred out.
+function applyWordFilter(filter, text) {
+  let action = null;
+  let filtered = text;
+
+  filter.forEach(({ action: termAction, regex }) => {
+    regex.lastIndex = 0;
+    if (!regex.test(filtered)) return;
+
+    if (termAction === 'mask') {
+      filtered = filtered.replace(regex, match => '*'.repeat(match.length));
+    }
+    if (!action || ACTION_PRIORITY[termAction] > ACTION_PRIORITY[action]) {
+      action = termAction;
+    }
+  });
+
+  return { action, text: filtered };
+}
+
+module.exports = {
+  FILTER_ACTIONS,
+  MAX_PATTERN_LENGTH,
+  validateTerm,
+  compileFilter,
+  applyWordFilter
+};
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS, formatOffset, toExportEntry } = require('../src/chatExport');
+
+const startedAt = new Date('2026-01-01T12:00:00Z');
+
+// Just enough of a ChatMessage document for the export
+const chatMessage = (fields) => ({
+  messageId: 'm1',
+  userId: 'u1',
+  username: 'alice',
+  text: 'hello',
+  createdAt: new Date('2026-01-01T12:01:23.900Z'),
+  deleted: false,
+  held: false,
+  replyTo: null,
+  reactions: [],
+  summarizeReactions() {
+    return this.reactions;
+  },
+  ...fields
+});
+
+test('formatOffset writes h:mm:ss, with a sign before the start', () => {
+  assert.equal(formatOffset(0), '0:00:00');
+  assert.equal(formatOffset(83), '0:01:23');
+  assert.equal(formatOffset(3 * 3600 + 5), '3:00:05');
+  assert.equal(formatOffset(-65), '-0:01:05');
+});
+
+test('toExportEntry measures the offset from the stream start', () => {
+  const entry = toExportEntry(chatMessage({ replyTo: { messageId: 'm0' } }), startedAt);
+
+  assert.equal(entry.offset, '0:01:23');
+  assert.equal(entry.offsetSeconds, 83);
+  assert.equal(entry.timestamp, '2026-01-01T12:01:23.900Z');
+  assert.equal(entry.replyTo, 'm0');
+});
+
+test('toExportEntry flags who deleted a message', () => {
+  assert.equal(toExportEntry(chatMessage({ deleted: true, deletedBy: 'u1' }), startedAt).deletedByModerator, false);
+  assert.equal(toExportEntry(chatMessage({ deleted: true, deletedBy: 'mod' }), startedAt).deletedByModerator, true);
+  assert.equal(toExportEntry(chatMessage({ held: undefined }), startedAt).held, false);
+});
+
+// Run entries through a format the way the export route writes them
+const render = (format, messages) => {
+  const exporter = EXPORT_FORMATS[format];
+  const body = messages.map((message, index) => exporter.format(toExportEntry(message, startedAt), index));
+  return exporter.header + body.join('') + exporter.footer;
+};
+
+test('the json export is one valid array', () => {
+  const output = render('json', [chatMessage(), chatMessage({ messageId: 'm2', text: 'bye' })]);
+
+  assert.deepEqual(JSON.parse(output).map(entry => entry.text), ['hello', 'bye']);
+  assert.deepEqual(JSON.parse(render('json', [])), []);
+});
+
+test('the csv export quotes cells that need it', () => {
+  const output = render('csv', [chatMessage({
+    text: 'hi, "all"\nsecond line',
+    reactions: [{ reaction: '👍', count: 2 }]
+  })]);
+  const [header, row] = output.split(/\n(?=0:)/);
+
+  assert.ok(header.startsWith('offset,offsetSeconds,timestamp,userId,username,text'));
+  assert.equal(
+    row,
+    '0:01:23,83,2026-01-01T12:01:23.900Z,u1,alice,"hi, ""all""\nsecond line",,false,false,false,👍 2\n'
+  );
+});
+
+test('the text export puts each message on one line with its flags', () => {
+  const output = render('text', [
+    chatMessage({ text: 'two\nlines', reactions: [{ reaction: '🔥', count: 1 }] }),
+    chatMessage({ deleted: true, deletedBy: 'mod', held: true })
+  ]);
+
+  assert.equal(output, [
+    '[0:01:23] alice: two lines [🔥 1]',
+    '[0:01:23] alice: hello (deleted by moderator, held for review)',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findMentions, toReplyPreview } = require('../src/chatMentions');
+
+const chatters = [
+  { userId: 'u1', username: 'alice' },
+  { userId: 'u2', username: 'Bob Smith' },
+  { userId: 'u3', username: 'al' },
+  { userId: 'u4', username: 'c.j' },
+  { userId: 'u5' }
+];
+
+test('findMentions finds known names, including ones with spaces', () => {
+  assert.deepEqual(findMentions('hey @alice and @bob smith!', chatters), ['u1', 'u2']);
+});
+
+test('findMentions needs the whole name', () => {
+  // "@alice" doesn't mention "al", and "@alicex" mentions nobody
+  assert.deepEqual(findMentions('@alice', chatters), ['u1']);
+  assert.deepEqual(findMentions('@alicex', chatters), []);
+});
+
+test('findMentions matches names with regex characters literally', () => {
+  assert.deepEqual(findMentions('thanks @c.j', chatters), ['u4']);
+  assert.deepEqual(findMentions('thanks @cxj', chatters), []);
+});
+
+test('findMentions skips text without an @', () => {
+  assert.deepEqual(findMentions('alice', chatters), []);
+});
+
+test('toReplyPreview keeps short quotes and shortens long ones', () => {
+  const message = { messageId: 'm1', userId: 'u1', username: 'alice', text: 'short' };
+  assert.deepEqual(toReplyPreview(message), message);
+
+  const preview = toReplyPreview({ ...message, text: 'x'.repeat(250) });
+  assert.equal(preview.text.length, 100);
+  assert.ok(preview.text.endsWith('…'));
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isEmoteOnly, sanitizeChatModes, checkChatModes } = require('../src/chatModes');
+
+test('isEmoteOnly accepts emoji with modifiers, joiners and flags', () => {
+  assert.equal(isEmoteOnly('😂 👍🏽'), true);
+  assert.equal(isEmoteOnly('👨‍👩‍👧'), true);
+  assert.equal(isEmoteOnly('🇳🇱❤️'), true);
+  assert.equal(isEmoteOnly('nice 👍'), false);
+  assert.equal(isEmoteOnly('123'), false);
+});
+
+test('sanitizeChatModes keeps only known modes, clamped to their limits', () => {
+  assert.deepEqual(
+    sanitizeChatModes({ slowMode: '30', minAccountAge: 999999, emoteOnly: 1, extra: true }),
+    { slowMode: 30, minAccountAge: 30 * 24 * 60, emoteOnly: true }
+  );
+  assert.deepEqual(sanitizeChatModes({ slowMode: -5 }), { slowMode: 0 });
+  assert.deepEqual(sanitizeChatModes({ slowMode: 'fast' }), { slowMode: 0 });
+});
+
+test('sanitizeChatModes leaves out modes that were not given', () => {
+  assert.deepEqual(sanitizeChatModes({ emoteOnly: false }), { emoteOnly: false });
+  assert.deepEqual(sanitizeChatModes(), {});
+});
+
+test('checkChatModes allows everything when no mode is on', () => {
+  assert.equal(checkChatModes(null, { text: 'hi' }), null);
+  assert.equal(checkChatModes({ slowMode: 0, emoteOnly: false, minAccountAge: 0 }, { text: 'hi', lastMessageAt: Date.now() }), null);
+});
+
+test('checkChatModes holds new chatters to the account age minimum', () => {
+  const now = Date.now();
+  const modes = { minAccountAge: 10 };
+
+  const violation = checkChatModes(modes, { text: 'hi', firstSeenAt: new Date(now - 4 * 60 * 1000), now });
+  assert.equal(violation.mode, 'minAccountAge');
+  assert.equal(violation.retryAfter, 6 * 60);
+
+  assert.equal(checkChatModes(modes, { text: 'hi', firstSeenAt: new Date(now - 11 * 60 * 1000), now }), null);
+  // An id we've never seen counts as brand new
+  assert.equal(checkChatModes(modes, { text: 'hi', now }).mode, 'minAccountAge');
+});
+
+test('checkChatModes only lets emoji through in emote-only mode', () => {
+  const modes = { emoteOnly: true };
+
+  assert.equal(checkChatModes(modes, { text: 'hello' }).mode, 'emoteOnly');
+  assert.equal(checkChatModes(modes, { text: '🔥🔥' }), null);
+});
+
+test('checkChatModes enforces the slow mode cooldown', () => {
+  const now = Date.now();
+  const modes = { slowMode: 30 };
+
+  const violation = checkChatModes(modes, { text: 'again', lastMessageAt: now - 10 * 1000, now });
+  assert.equal(violation.mode, 'slowMode');
+  assert.equal(violation.retryAfter, 20);
+
+  assert.equal(checkChatModes(modes, { text: 'again', lastMessageAt: now - 30 * 1000, now }), null);
+  assert.equal(checkChatModes(modes, { text: 'first', now }), null);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ENCODING_PRESETS,
+  DEFAULT_PRESETS,
+  sanitizeProfile,
+  resolveEncodingProfile,
+  buildEncodingArgs
+} = require('../src/encodingPresets');
+
+const valueOf = (args, flag) => args[args.indexOf(flag) + 1];
+
+test('every platform default is a known preset', () => {
+  Object.values(DEFAULT_PRESETS).forEach(presetId => {
+    assert.ok(ENCODING_PRESETS[presetId], presetId);
+  });
+});
+
+test('a destination without a valid preset gets its platform default', () => {
+  assert.equal(resolveEncodingProfile({ platform: 'twitch' }).preset, DEFAULT_PRESETS.twitch);
+  assert.equal(resolveEncodingProfile({ platform: 'youtube', preset: 'nope' }).preset, DEFAULT_PRESETS.youtube);
+  assert.equal(resolveEncodingProfile({ platform: 'unknown' }).preset, DEFAULT_PRESETS.custom);
+});
+
+test('resolveEncodingProfile applies valid overrides on top of the preset', () => {
+  const profile = resolveEncodingProfile({
+    platform: 'twitch',
+    preset: 'twitch-1080p60',
+    profile: { videoBitrate: '5500.4', framerate: 120, sampleRate: 44100 }
+  });
+
+  assert.deepEqual(profile, {
+    preset: 'twitch-1080p60',
+    label: 'Twitch 6000k 1080p60',
+    width: 1920,
+    height: 1080,
+    framerate: 60,
+    videoBitrate: 5500,
+    keyframeInterval: 2,
+    audioBitrate: 160,
+    sampleRate: 44100
+  });
+});
+
+test('sanitizeProfile drops out-of-range and unknown fields', () => {
+  assert.deepEqual(
+    sanitizeProfile({ width: 100, height: 720, keyframeInterval: 0, sampleRate: 22050, codec: 'vp9' }),
+    { height: 720 }
+  );
+  assert.deepEqual(sanitizeProfile(), {});
+});
+
+test('buildEncodingArgs sizes the GOP from the framerate and keyframe interval', () => {
+  const args = buildEncodingArgs(resolveEncodingProfile({ preset: 'twitch-720p60' }), 'rtmp://live.example/app/key');
+
+  assert.equal(valueOf(args, '-r'), '60');
+  assert.equal(valueOf(args, '-g'), '120');
+  assert.equal(valueOf(args, '-keyint_min'), '120');
+  assert.equal(valueOf(args, '-b:v'), '4500k');
+  assert.equal(valueOf(args, '-maxrate'), '4500k');
+  assert.equal(valueOf(args, '-bufsize'), '9000k');
+  assert.equal(valueOf(args, '-vf'), 'scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1');
+  assert.equal(args[args.length - 1], 'rtmp://live.example/app/key');
+});
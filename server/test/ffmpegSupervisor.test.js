@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProgressLine, getRestartDelay } = require('../src/ffmpegSupervisor');
+
+test('parseProgressLine reads the stats from a progress line', () => {
+  const stats = parseProgressLine(
+    'frame=  120 fps= 30 q=28.0 size=    1024kB time=00:01:02.50 bitrate=2097.2kbits/s drop=3 dup=1 speed=1.01x'
+  );
+
+  assert.deepEqual(stats, {
+    frame: 120,
+    fps: 30,
+    bitrate: 2097.2,
+    speed: 1.01,
+    droppedFrames: 3,
+    duplicatedFrames: 1,
+    size: 1024,
+    time: 62.5
+  });
+});
+
+test('parseProgressLine defaults missing drop and dup counts to zero', () => {
+  const stats = parseProgressLine('frame=1 fps=0.0 q=0.0 size=0kB time=00:00:00.03 bitrate=N/A speed=N/A');
+
+  assert.equal(stats.droppedFrames, 0);
+  assert.equal(stats.duplicatedFrames, 0);
+  assert.equal(stats.bitrate, null);
+  assert.equal(stats.speed, null);
+});
+
+test('parseProgressLine gives no time before the first packet', () => {
+  const stats = parseProgressLine('frame=0 fps=0.0 size=0kB time=-577014:32:22.77 bitrate=-0.0kbits/s speed=N/A');
+
+  assert.equal(stats.time, null);
+});
+
+test('parseProgressLine ignores other stderr lines', () => {
+  assert.equal(parseProgressLine('Input #0, matroska,webm, from \'pipe:0\':'), null);
+  assert.equal(parseProgressLine('[flv @ 0x55] Failed to update header with correct duration.'), null);
+});
+
+test('getRestartDelay doubles each attempt up to the cap', () => {
+  assert.deepEqual(
+    [1, 2, 3, 4, 5, 6, 7].map(attempt => getRestartDelay(attempt, 1000, 30000)),
+    [1000, 2000, 4000, 8000, 16000, 30000, 30000]
+  );
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { DEFAULT_LADDER, MASTER_PLAYLIST, buildHlsLadderArgs } = require('../src/hlsLadder');
+
+const outputDir = path.join('media', 'hls', 'room1');
+
+// The value following `flag`, or every value when it repeats
+const valueOf = (args, flag) => args[args.indexOf(flag) + 1];
+const valuesOf = (args, flag) => args.filter((arg, i) => args[i - 1] === flag);
+
+test('an empty or missing ladder falls back to the default', () => {
+  assert.deepEqual(buildHlsLadderArgs([], outputDir), buildHlsLadderArgs(DEFAULT_LADDER, outputDir));
+  assert.deepEqual(buildHlsLadderArgs(undefined, outputDir), buildHlsLadderArgs(DEFAULT_LADDER, outputDir));
+});
+
+test('each video rendition is scaled without upscaling and encoded at its bitrate', () => {
+  const args = buildHlsLadderArgs([
+    { name: '720p', height: 720, videoBitrate: 2800 },
+    { name: '360p', height: 360, videoBitrate: 800 }
+  ], outputDir);
+
+  assert.equal(
+    valueOf(args, '-filter_complex'),
+    "[0:v]split=2[vs0][vs1];[vs0]scale=-2:'min(720,ih)'[v0];[vs1]scale=-2:'min(360,ih)'[v1]"
+  );
+  assert.deepEqual(valuesOf(args, '-map'), ['[v0]', '[v1]', '0:a', '0:a']);
+  assert.equal(valueOf(args, '-b:v:0'), '2800k');
+  assert.equal(valueOf(args, '-maxrate:v:0'), '2996k');
+  assert.equal(valueOf(args, '-bufsize:v:1'), '1200k');
+});
+
+test('audio-only renditions come after the video ones in the stream map', () => {
+  const args = buildHlsLadderArgs([
+    { name: 'audio', audioBitrate: 64 },
+    { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 }
+  ], outputDir);
+
+  assert.equal(valueOf(args, '-var_stream_map'), 'v:0,a:0 a:1');
+  assert.equal(valueOf(args, '-b:a:0'), '96k');
+  assert.equal(valueOf(args, '-b:a:1'), '64k');
+});
+
+test('an audio-only ladder has no video filter', () => {
+  const args = buildHlsLadderArgs([{ name: 'audio' }], outputDir);
+
+  assert.equal(args.includes('-filter_complex'), false);
+  assert.equal(valueOf(args, '-var_stream_map'), 'a:0');
+  assert.equal(valueOf(args, '-b:a:0'), '128k');
+});
+
+test('variants are written with a master playlist into the output folder', () => {
+  const args = buildHlsLadderArgs(DEFAULT_LADDER, outputDir);
+
+  assert.equal(valueOf(args, '-master_pl_name'), MASTER_PLAYLIST);
+  assert.equal(valueOf(args, '-hls_segment_filename'), path.join(outputDir, 'stream_%v_%05d.ts'));
+  assert.equal(args[args.length - 1], path.join(outputDir, 'stream_%v.m3u8'));
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_PATTERN_LENGTH, validateTerm, compileFilter, applyWordFilter } = require('../src/wordFilter');
+
+test('validateTerm accepts plain terms and safe patterns', () => {
+  assert.equal(validateTerm({ pattern: 'spoiler', action: 'mask' }), null);
+  assert.equal(validateTerm({ pattern: 'fr[e3]+ coins', isRegex: true, action: 'drop' }), null);
+});
+
+test('validateTerm rejects empty, overlong and unknown-action terms', () => {
+  assert.match(validateTerm({ pattern: '  ' }), /required/);
+  assert.match(validateTerm({ pattern: 'a'.repeat(MAX_PATTERN_LENGTH + 1) }), /at most/);
+  assert.match(validateTerm({ pattern: 'spoiler', action: 'explode' }), /Action must be one of/);
+});
+
+test('validateTerm rejects broken and empty-matching patterns', () => {
+  assert.match(validateTerm({ pattern: '(unclosed', isRegex: true }), /Invalid pattern/);
+  assert.match(validateTerm({ pattern: 'a*', isRegex: true }), /must not match empty text/);
+});
+
+test('validateTerm rejects patterns that can backtrack catastrophically', () => {
+  assert.match(validateTerm({ pattern: '(a+)+$', isRegex: true }), /too complex/);
+  assert.match(validateTerm({ pattern: '(x*y*)*z', isRegex: true }), /too complex/);
+});
+
+test('plain terms only match whole words, ignoring case', () => {
+  const filter = compileFilter([{ pattern: 'ass', action: 'drop' }]);
+
+  assert.equal(applyWordFilter(filter, 'first class').action, null);
+  assert.equal(applyWordFilter(filter, 'what an ASS!').action, 'drop');
+});
+
+test('plain terms match regex characters literally', () => {
+  const filter = compileFilter([{ pattern: 'c++', action: 'mask' }]);
+
+  assert.deepEqual(applyWordFilter(filter, 'I write c++ daily'), { action: 'mask', text: 'I write *** daily' });
+  assert.equal(applyWordFilter(filter, 'I write cc daily').action, null);
+});
+
+test('masked matches are starred out and the strongest action wins', () => {
+  const filter = compileFilter([
+    { pattern: 'darn', action: 'mask' },
+    { pattern: 'b[a@]d', isRegex: true, action: 'hold' }
+  ]);
+
+  assert.deepEqual(applyWordFilter(filter, 'darn it, darn'), { action: 'mask', text: '**** it, ****' });
+  assert.deepEqual(applyWordFilter(filter, 'darn b@d'), { action: 'hold', text: '**** b@d' });
+});
+
+test('compileFilter skips broken or unsafe saved patterns', () => {
+  const filter = compileFilter([
+    { pattern: '(unclosed', isRegex: true, action: 'drop' },
+    { pattern: '(a+)+$', isRegex: true, action: 'drop' },
+    { pattern: 'spam', action: 'drop' }
+  ]);
+
+  assert.equal(filter.length, 1);
+  assert.equal(applyWordFilter(filter, 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!').action, null);
+  assert.equal(applyWordFilter(filter, 'spam').action, 'drop');
+});